@@ -0,0 +1,211 @@
+// Chunk cache: synthesized chunk audio keyed by everything that shapes it, so editing
+// one sentence of a long text only regenerates that sentence
+
+const DB_NAME = 'supertonic-chunks';
+const DB_VERSION = 1;
+const STORE = 'chunks';
+// Bumped when cached audio is no longer comparable, e.g. chunks start being trimmed differently
+const CACHE_FORMAT = 1;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const MAX_PERSISTED_ENTRIES = 2000;
+
+const styleFingerprints = new WeakMap();
+
+/**
+ * 64-bit FNV-1a (two 32-bit lanes with different offset bases) of a string or
+ * typed array, as 16 hex digits
+ */
+export function fingerprint(data) {
+    const bytes = typeof data === 'string'
+        ? new TextEncoder().encode(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    let low = 0x811C9DC5;
+    let high = 0x050C5D1F;
+    for (let i = 0; i < bytes.length; i++) {
+        low = Math.imul(low ^ bytes[i], 0x01000193) >>> 0;
+        high = Math.imul(high ^ bytes[i] ^ (low >>> 24), 0x01000193) >>> 0;
+    }
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint of a style's tensors; computed once per style object
+ */
+export function styleFingerprint(style) {
+    let value = styleFingerprints.get(style);
+    if (!value) {
+        value = `${fingerprint(style.ttl.data)}${fingerprint(style.dp.data)}`;
+        styleFingerprints.set(style, value);
+    }
+    return value;
+}
+
+/**
+ * Cache key for one chunk. text is the normalized chunk text (lexicon and
+ * number reading applied), seed the chunk's own noise seed.
+ */
+export function chunkCacheKey({ text, style, totalStep, speed, seed, language, modelVersion }) {
+    return [CACHE_FORMAT, modelVersion, styleFingerprint(style), totalStep, speed, seed, language, text].join('|');
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available here'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('usedAt', 'usedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+async function transact(mode, callback) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE, mode);
+        const result = callback(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Chunk cache transaction was aborted'));
+    });
+}
+
+/**
+ * Least recently used chunk audio in memory, capped at maxBytes. With persist
+ * set, chunks are also written to IndexedDB and survive reloads; persistence
+ * failures only cost cache hits, never a generation.
+ */
+export class ChunkCache {
+    constructor({ maxBytes = DEFAULT_MAX_BYTES, persist = false } = {}) {
+        this.maxBytes = maxBytes;
+        this.persist = persist;
+        this.entries = new Map();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async get(key) {
+        let wav = this.entries.get(key);
+        if (wav) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, wav);
+        } else if (this.persist) {
+            wav = await this.readPersisted(key);
+            if (wav) {
+                this.remember(key, wav);
+            }
+        }
+
+        if (!wav) {
+            this.misses++;
+            return null;
+        }
+        this.hits++;
+        // Callers may transfer or modify the samples; the cached copy stays intact
+        return wav.slice();
+    }
+
+    async set(key, wav) {
+        const copy = Float32Array.from(wav);
+        this.remember(key, copy);
+        if (this.persist) {
+            await this.writePersisted(key, copy);
+        }
+    }
+
+    remember(key, wav) {
+        if (this.entries.has(key)) {
+            this.bytes -= this.entries.get(key).byteLength;
+            this.entries.delete(key);
+        }
+        this.entries.set(key, wav);
+        this.bytes += wav.byteLength;
+        for (const [oldKey, oldWav] of this.entries) {
+            if (this.bytes <= this.maxBytes) {
+                break;
+            }
+            this.entries.delete(oldKey);
+            this.bytes -= oldWav.byteLength;
+        }
+    }
+
+    async readPersisted(key) {
+        try {
+            const record = await transact('readwrite', (store) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put({ ...request.result, usedAt: Date.now() });
+                    }
+                };
+                return request;
+            });
+            return record?.wav ?? null;
+        } catch (error) {
+            console.warn('Chunk cache read failed:', error);
+            return null;
+        }
+    }
+
+    async writePersisted(key, wav) {
+        try {
+            await transact('readwrite', (store) => {
+                store.put({ key, wav, usedAt: Date.now() });
+                const count = store.count();
+                count.onsuccess = () => {
+                    // Drop the least recently used chunks beyond the limit
+                    let excess = count.result - MAX_PERSISTED_ENTRIES;
+                    if (excess <= 0) {
+                        return;
+                    }
+                    store.index('usedAt').openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (cursor && excess-- > 0) {
+                            cursor.delete();
+                            cursor.continue();
+                        }
+                    };
+                };
+            });
+        } catch (error) {
+            console.warn('Chunk cache write failed:', error);
+        }
+    }
+
+    /**
+     * Forget every chunk, in memory and persisted
+     */
+    async clear() {
+        this.entries.clear();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        try {
+            await transact('readwrite', store => store.clear());
+        } catch (error) {
+            // Nothing was persisted where IndexedDB is unavailable
+            if (typeof indexedDB !== 'undefined') {
+                throw error;
+            }
+        }
+    }
+
+    stats() {
+        return { entries: this.entries.size, bytes: this.bytes, hits: this.hits, misses: this.misses };
+    }
+}
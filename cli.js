@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Command-line synthesizer: supertonic synth --voice F1 --in script.txt --out out.wav
+// and local speech server: supertonic serve --port 8880
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadTextToSpeech, loadVoiceStyle } from './nodeEngine.js';
+import { EXPORT_FORMATS, encodeAudio } from './encoders.js';
+import { normalizeLoudness } from './loudness.js';
+import { createSpeechServer } from './server.js';
+
+// Opus needs WebCodecs, which Node does not have
+const CLI_FORMATS = Object.keys(EXPORT_FORMATS).filter(format => format !== 'opus');
+
+const USAGE = `Usage: supertonic synth [options]
+       supertonic serve [options]
+
+Synth options:
+  --voice <name|file>     Preset voice (e.g. F1, M2) or a voice style JSON file (default: M1)
+  --steps <n>             Denoising steps, 1-50 (default: 5)
+  --speed <x>             Speech speed, 0.5-2 (default: 1.05)
+  --in <file>             Text to read; "-" or omitted reads stdin
+  --out <file>            Audio file to write; "-" writes to stdout
+  --format <format>       ${CLI_FORMATS.join(', ')} (default: from the --out extension)
+  --seed <n>              Seed for reproducible output
+  --language <code>       auto or a language code (default: auto)
+  --batch-size <n>        Chunks per inference batch (default: 1)
+  --loudness=<lufs>       Normalize to this integrated loudness, e.g. --loudness=-16; true peak limited to -1 dBTP
+  --lexicon <file>        Pronunciation lexicon JSON, as exported from the page
+  --assets <dir>          Directory with onnx/ and voice_styles/ (default: ./assets)
+  --quiet                 Print nothing but errors
+  --help                  Show this help
+
+Serve options:
+  --port <n>              Port to listen on (default: 8880)
+  --host <address>        Address to bind (default: 127.0.0.1)
+  --steps <n>             Default denoising steps for requests (default: 5)
+  --batch-size <n>        Chunks per inference batch (default: 1)
+  --loudness=<lufs>       Normalize responses that are not streamed to this loudness
+  --assets <dir>          Directory with onnx/ and voice_styles/ (default: ./assets)`;
+
+const OPTIONS = {
+    voice: { type: 'string', default: 'M1' },
+    steps: { type: 'string', default: '5' },
+    speed: { type: 'string', default: '1.05' },
+    in: { type: 'string' },
+    out: { type: 'string' },
+    format: { type: 'string' },
+    seed: { type: 'string' },
+    language: { type: 'string', default: 'auto' },
+    'batch-size': { type: 'string', default: '1' },
+    loudness: { type: 'string' },
+    lexicon: { type: 'string' },
+    assets: { type: 'string', default: 'assets' },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+};
+
+const SERVE_OPTIONS = {
+    port: { type: 'string', default: '8880' },
+    host: { type: 'string', default: '127.0.0.1' },
+    steps: { type: 'string', default: '5' },
+    'batch-size': { type: 'string', default: '1' },
+    loudness: { type: 'string' },
+    assets: { type: 'string', default: 'assets' },
+    help: { type: 'boolean', default: false }
+};
+
+const FORMATS_BY_EXTENSION = { '.flac': 'flac' };
+
+function parseNumber(value, name, { min, max, integer = false }) {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+        throw new Error(`--${name} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}, got "${value}"`);
+    }
+    return number;
+}
+
+async function readInput(inPath) {
+    if (inPath && inPath !== '-') {
+        return readFile(inPath, 'utf8');
+    }
+    if (process.stdin.isTTY) {
+        throw new Error('No input: pass --in <file> or pipe text to stdin');
+    }
+    const parts = [];
+    for await (const part of process.stdin) {
+        parts.push(part);
+    }
+    return Buffer.concat(parts).toString('utf8');
+}
+
+// Bare names are presets from assets/voice_styles; anything else is a path to a style JSON
+function resolveVoicePath(voice, assetsDir) {
+    return voice.endsWith('.json') || voice.includes(path.sep) || voice.includes('/')
+        ? voice
+        : path.join(assetsDir, 'voice_styles', `${voice}.json`);
+}
+
+function loadModels(assetsDir, log) {
+    return loadTextToSpeech(path.join(assetsDir, 'onnx'), {
+        executionProviders: ['cpu'],
+        graphOptimizationLevel: 'all'
+    }, (modelName, current, total) => log(`Loading ONNX models (${current}/${total}): ${modelName}`));
+}
+
+async function synth(args) {
+    const { values } = parseArgs({ args, options: OPTIONS, strict: true });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!values.out) {
+        throw new Error('Missing --out <file> (use "-" for stdout)');
+    }
+
+    const totalStep = parseNumber(values.steps, 'steps', { min: 1, max: 50, integer: true });
+    const speed = parseNumber(values.speed, 'speed', { min: 0.5, max: 2 });
+    const batchSize = parseNumber(values['batch-size'], 'batch-size', { min: 1, max: 64, integer: true });
+    const seed = values.seed === undefined ? null : parseNumber(values.seed, 'seed', { min: 0, max: 0xFFFFFFFF, integer: true });
+    const loudnessTarget = values.loudness === undefined ? null : parseNumber(values.loudness, 'loudness', { min: -70, max: 0 });
+    const format = values.format ?? FORMATS_BY_EXTENSION[path.extname(values.out).toLowerCase()] ?? 'wav16';
+    // Rejected before any model loads; an .ogg name alone would otherwise get WAV bytes
+    if (format === 'opus' || (!values.format && ['.ogg', '.opus'].includes(path.extname(values.out).toLowerCase()))) {
+        throw new Error('Opus output needs WebCodecs and is only available in the browser; use --format flac or a .flac file');
+    }
+    if (!CLI_FORMATS.includes(format)) {
+        throw new Error(`Unsupported --format "${format}". Available: ${CLI_FORMATS.join(', ')}`);
+    }
+
+    // Progress goes to stderr so stdout can carry the audio
+    const log = values.quiet ? () => {} : message => process.stderr.write(`${message}\n`);
+
+    const text = (await readInput(values.in)).trim();
+    if (!text) {
+        throw new Error('Input text is empty');
+    }
+
+    // Voice first, so a mistyped name fails before the models load
+    const style = await loadVoiceStyle([resolveVoicePath(values.voice, values.assets)]);
+    const { textToSpeech } = await loadModels(values.assets, log);
+    if (values.lexicon) {
+        const count = textToSpeech.textProcessor.setLexicon(JSON.parse(await readFile(values.lexicon, 'utf8')));
+        log(`Lexicon: ${count} entries`);
+    }
+
+    const startedAt = performance.now();
+    let lastChunk = 0;
+    const result = await textToSpeech.call(
+        text, style, totalStep, speed, undefined,
+        (step, total, chunkIndex, totalChunks) => {
+            if (chunkIndex !== lastChunk) {
+                lastChunk = chunkIndex;
+                log(`Synthesizing chunk ${chunkIndex}/${totalChunks}`);
+            }
+        },
+        null, null, seed, batchSize, values.language
+    );
+    const generationTime = (performance.now() - startedAt) / 1000;
+
+    const wavLen = Math.floor(textToSpeech.sampleRate * result.duration[0]);
+    const { samples, loudness, truePeak } = normalizeLoudness(result.wav.slice(0, wavLen), textToSpeech.sampleRate, loudnessTarget);
+    const encoded = Buffer.from(await encodeAudio(samples, textToSpeech.sampleRate, format));
+    if (values.out === '-') {
+        process.stdout.write(encoded);
+    } else {
+        await writeFile(values.out, encoded);
+    }
+
+    log(`Wrote ${values.out === '-' ? 'stdout' : values.out}: ${result.duration[0].toFixed(2)}s of audio in ${generationTime.toFixed(2)}s, `
+        + `seed ${result.seed}, language ${result.language}, ${loudness.toFixed(1)} LUFS, ${truePeak.toFixed(1)} dBTP`);
+}
+
+async function serve(args) {
+    const { values } = parseArgs({ args, options: SERVE_OPTIONS, strict: true });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const port = parseNumber(values.port, 'port', { min: 0, max: 65535, integer: true });
+    const defaults = {
+        totalStep: parseNumber(values.steps, 'steps', { min: 1, max: 50, integer: true }),
+        batchSize: parseNumber(values['batch-size'], 'batch-size', { min: 1, max: 64, integer: true }),
+        loudnessTarget: values.loudness === undefined ? null : parseNumber(values.loudness, 'loudness', { min: -70, max: 0 })
+    };
+
+    const log = message => process.stderr.write(`${message}\n`);
+    const { textToSpeech } = await loadModels(values.assets, log);
+    const server = createSpeechServer({ textToSpeech, assetsDir: values.assets, defaults });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, values.host, resolve);
+    });
+    const address = server.address();
+    log(`Listening on http://${values.host}:${address.port} (POST /v1/audio/speech, GET /v1/voices, GET /health)`);
+}
+
+const COMMANDS = { synth, serve };
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (!command || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+    await COMMANDS[command](args);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(`supertonic: ${error.message}`);
+    process.exitCode = 1;
+});
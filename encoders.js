@@ -0,0 +1,576 @@
+// Audio export: WAV (16-bit dithered, 24-bit, 32-bit float), FLAC and Opus in an Ogg container
+
+const DITHER_SEED = 0x5EED;
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_FIXED_ORDER = 4;
+const FLAC_MAX_PARTITION_ORDER = 8;
+const FLAC_MAX_RICE_PARAMETER = 14;
+const FLAC_SAMPLE_SIZE_CODES = { 16: 0b100, 24: 0b110 };
+// Frame-wise decoders need the rate in every frame header; other rates fall back to STREAMINFO (0b0000)
+const FLAC_SAMPLE_RATE_CODES = {
+    88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100, 16000: 0b0101, 22050: 0b0110,
+    24000: 0b0111, 32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_FRAME_DURATION_US = 20000;
+const OPUS_DEFAULT_PRE_SKIP = 312;
+const OGG_PACKETS_PER_PAGE = 50;
+const VENDOR = 'supertonic';
+
+/**
+ * Mulberry32 PRNG: returns a Math.random-like generator for a 32-bit seed
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Convert float samples in [-1, 1] to signed integers of the given bit depth.
+ * Rounds to nearest so positive and negative samples are treated alike; with
+ * dither, triangular (TPDF) noise of +-1 LSB decorrelates the rounding error.
+ * The dither generator is seeded, so the same audio always exports the same bytes.
+ */
+export function quantize(samples, bitDepth = 16, dither = bitDepth <= 16) {
+    const max = 2 ** (bitDepth - 1) - 1;
+    const min = -max - 1;
+    const random = dither ? createRng(DITHER_SEED) : null;
+    const out = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let value = Math.max(-1.0, Math.min(1.0, samples[i])) * max;
+        if (random) {
+            value += random() - random();
+        }
+        out[i] = Math.max(min, Math.min(max, Math.round(value)));
+    }
+    return out;
+}
+
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+/**
+ * Encode mono audio as a WAV file. sampleFormat is 'int16' (TPDF dithered),
+ * 'int24' or 'float32' (IEEE float, with the fact chunk non-PCM files need).
+ */
+export function encodeWav(samples, sampleRate, sampleFormat = 'int16') {
+    const float = sampleFormat === 'float32';
+    const bitsPerSample = { int16: 16, int24: 24, float32: 32 }[sampleFormat];
+    if (!bitsPerSample) {
+        throw new Error(`Unsupported WAV sample format "${sampleFormat}". Available: int16, int24, float32`);
+    }
+    const numChannels = 1;
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = samples.length * bytesPerSample;
+    // Float files carry an 18-byte fmt chunk and a fact chunk before the data
+    const fmtSize = float ? 18 : 16;
+    const headerSize = 12 + (8 + fmtSize) + (float ? 12 : 0) + 8;
+
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, headerSize - 8 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, float ? 3 : 1, true); // IEEE float or PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+    let offset = 36;
+    if (float) {
+        view.setUint16(offset, 0, true); // No extension
+        writeString(view, offset + 2, 'fact');
+        view.setUint32(offset + 6, 4, true);
+        view.setUint32(offset + 10, samples.length, true);
+        offset += 14;
+    }
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    if (float) {
+        for (let i = 0; i < samples.length; i++, offset += 4) {
+            view.setFloat32(offset, samples[i], true);
+        }
+    } else {
+        const ints = quantize(samples, bitsPerSample);
+        for (let i = 0; i < ints.length; i++, offset += bytesPerSample) {
+            if (bytesPerSample === 2) {
+                view.setInt16(offset, ints[i], true);
+            } else {
+                view.setUint8(offset, ints[i] & 0xFF);
+                view.setInt16(offset + 1, ints[i] >> 8, true);
+            }
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * MSB-first bit writer backed by a growing byte array
+ */
+class BitWriter {
+    constructor(capacity = 1 << 16) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.current = 0;
+        this.bitCount = 0;
+    }
+
+    pushByte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    // Low `count` bits of value (two's complement for negatives), count <= 32
+    writeBits(value, count) {
+        for (let i = count - 1; i >= 0; i--) {
+            this.current = (this.current << 1) | ((value >>> i) & 1);
+            if (++this.bitCount === 8) {
+                this.pushByte(this.current);
+                this.current = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+
+    writeUnary(zeros) {
+        for (let i = 0; i < zeros; i++) {
+            this.writeBits(0, 1);
+        }
+        this.writeBits(1, 1);
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+// Frame numbers use the UTF-8 style variable-length coding FLAC borrows
+function writeUtf8Number(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+    // n continuation bytes carry 6n bits; the lead byte carries 6 - n more
+    let continuation = 1;
+    while (value >= 2 ** (6 * continuation + 6 - continuation)) {
+        continuation++;
+    }
+    writer.writeBits(((0xFF << (7 - continuation)) & 0xFF) | (value >>> (6 * continuation)), 8);
+    for (let i = continuation - 1; i >= 0; i--) {
+        writer.writeBits(0x80 | ((value >>> (6 * i)) & 0x3F), 8);
+    }
+}
+
+// Residuals of the fixed polynomial predictor of the given order (successive differences)
+function fixedResiduals(block, order) {
+    let residual = Int32Array.from(block);
+    for (let o = 0; o < order; o++) {
+        const next = new Int32Array(residual.length);
+        for (let i = 1; i < residual.length; i++) {
+            next[i] = residual[i] - residual[i - 1];
+        }
+        residual = next;
+    }
+    return residual.subarray(order);
+}
+
+// Cheapest Rice parameter for zigzag-folded residuals and its cost in bits
+function bestRiceParameter(folded, start, end) {
+    const count = end - start;
+    if (count === 0) {
+        return { parameter: 0, bits: 0 };
+    }
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += folded[i];
+    }
+    const estimate = Math.max(0, Math.min(FLAC_MAX_RICE_PARAMETER, Math.floor(Math.log2(sum / count + 1))));
+    let best = null;
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(FLAC_MAX_RICE_PARAMETER, estimate + 1); parameter++) {
+        let bits = count * (parameter + 1);
+        for (let i = start; i < end; i++) {
+            bits += folded[i] >>> parameter;
+        }
+        if (!best || bits < best.bits) {
+            best = { parameter, bits };
+        }
+    }
+    return best;
+}
+
+// Pick the partition order whose per-partition Rice parameters code the residual smallest
+function planResidual(folded, blockSize, order) {
+    let best = null;
+    for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+        const partitionSize = blockSize >> partitionOrder;
+        if (partitionSize << partitionOrder !== blockSize || partitionSize <= order) {
+            break;
+        }
+        const parameters = [];
+        let bits = 0;
+        for (let p = 0, start = 0; p < 1 << partitionOrder; p++) {
+            const end = (p + 1) * partitionSize - order;
+            const rice = bestRiceParameter(folded, start, end);
+            parameters.push(rice.parameter);
+            bits += 4 + rice.bits;
+            start = end;
+        }
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, partitionSize, parameters, bits };
+        }
+    }
+    return best;
+}
+
+function writeSubframe(writer, block, bitDepth) {
+    // Silence and other constant runs take a single sample
+    if (block.every(sample => sample === block[0])) {
+        writer.writeBits(0b00000000, 8);
+        writer.writeBits(block[0], bitDepth);
+        return;
+    }
+
+    let best = null;
+    for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, block.length - 1); order++) {
+        const residual = fixedResiduals(block, order);
+        const folded = new Uint32Array(residual.length);
+        for (let i = 0; i < residual.length; i++) {
+            folded[i] = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+        }
+        const plan = planResidual(folded, block.length, order);
+        if (plan && (!best || plan.bits + order * bitDepth < best.bits)) {
+            best = { ...plan, order, folded, bits: plan.bits + order * bitDepth };
+        }
+    }
+
+    // Fall back to raw samples when prediction does not pay off
+    if (!best || best.bits >= block.length * bitDepth) {
+        writer.writeBits(0b00000010, 8);
+        for (const sample of block) {
+            writer.writeBits(sample, bitDepth);
+        }
+        return;
+    }
+
+    writer.writeBits((0b001000 | best.order) << 1, 8);
+    for (let i = 0; i < best.order; i++) {
+        writer.writeBits(block[i], bitDepth);
+    }
+    writer.writeBits(0b00, 2); // Rice coding with 4-bit parameters
+    writer.writeBits(best.partitionOrder, 4);
+    let index = 0;
+    best.parameters.forEach((parameter, p) => {
+        const count = best.partitionSize - (p === 0 ? best.order : 0);
+        writer.writeBits(parameter, 4);
+        for (let i = 0; i < count; i++, index++) {
+            const value = best.folded[index];
+            writer.writeUnary(value >>> parameter);
+            writer.writeBits(value, parameter);
+        }
+    });
+}
+
+/**
+ * Encode mono audio as a FLAC file using fixed predictors and partitioned Rice
+ * coding. 16-bit output is TPDF dithered like the 16-bit WAV.
+ */
+export function encodeFlac(samples, sampleRate, bitDepth = 16) {
+    if (!FLAC_SAMPLE_SIZE_CODES[bitDepth]) {
+        throw new Error(`Unsupported FLAC bit depth ${bitDepth}. Available: 16, 24`);
+    }
+    const ints = quantize(samples, bitDepth);
+    const frames = new BitWriter(Math.max(1 << 16, ints.length * 2));
+    let minFrameSize = Infinity;
+    let maxFrameSize = 0;
+
+    for (let frameNumber = 0, start = 0; start < ints.length; frameNumber++, start += FLAC_BLOCK_SIZE) {
+        const block = ints.subarray(start, Math.min(start + FLAC_BLOCK_SIZE, ints.length));
+        const frameStart = frames.length;
+
+        frames.writeBits(0b11111111111110, 14); // Sync code
+        frames.writeBits(0, 1);
+        frames.writeBits(0, 1); // Fixed block size
+        frames.writeBits(0b0111, 4); // Block size stored after the header
+        frames.writeBits(FLAC_SAMPLE_RATE_CODES[sampleRate] ?? 0b0000, 4);
+        frames.writeBits(0b0000, 4); // Mono
+        frames.writeBits(FLAC_SAMPLE_SIZE_CODES[bitDepth], 3);
+        frames.writeBits(0, 1);
+        writeUtf8Number(frames, frameNumber);
+        frames.writeBits(block.length - 1, 16);
+        frames.writeBits(crc8(frames.bytes, frameStart, frames.length), 8);
+
+        writeSubframe(frames, block, bitDepth);
+        frames.alignToByte();
+        frames.writeBits(crc16(frames.bytes, frameStart, frames.length), 16);
+
+        const frameSize = frames.length - frameStart;
+        minFrameSize = Math.min(minFrameSize, frameSize);
+        maxFrameSize = Math.max(maxFrameSize, frameSize);
+    }
+
+    const header = new BitWriter(64);
+    header.writeBits(0x664C6143, 32); // "fLaC"
+    header.writeBits(1, 1); // Last metadata block
+    header.writeBits(0, 7); // STREAMINFO
+    header.writeBits(34, 24);
+    header.writeBits(FLAC_BLOCK_SIZE, 16);
+    header.writeBits(FLAC_BLOCK_SIZE, 16);
+    header.writeBits(ints.length ? minFrameSize : 0, 24);
+    header.writeBits(maxFrameSize, 24);
+    header.writeBits(sampleRate, 20);
+    header.writeBits(0, 3); // One channel
+    header.writeBits(bitDepth - 1, 5);
+    header.writeBits(Math.floor(ints.length / 2 ** 32), 4);
+    header.writeBits(ints.length >>> 0, 32);
+    for (let i = 0; i < 4; i++) {
+        header.writeBits(0, 32); // MD5 left unset
+    }
+
+    const headerBytes = header.toBytes();
+    const out = new Uint8Array(headerBytes.length + frames.length);
+    out.set(headerBytes);
+    out.set(frames.bytes.subarray(0, frames.length), headerBytes.length);
+    return out.buffer;
+}
+
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggPage(packets, { granule, serial, sequence, first = false, last = false }) {
+    const lacing = packets.flatMap(packet => [...new Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255]);
+    const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodySize);
+    const view = new DataView(page.buffer);
+
+    writeString(view, 0, 'OggS');
+    view.setUint8(5, (first ? 0x02 : 0) | (last ? 0x04 : 0));
+    view.setBigInt64(6, BigInt(granule), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+    let offset = 27 + lacing.length;
+    for (const packet of packets) {
+        page.set(packet, offset);
+        offset += packet.length;
+    }
+
+    let crc = 0;
+    for (const byte of page) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    }
+    view.setUint32(22, crc, true);
+    return page;
+}
+
+/**
+ * Mux Opus packets into an Ogg file (RFC 7845). packets are { data, samples }
+ * with samples counted at 48 kHz; sampleCount is the original length at 48 kHz,
+ * so players drop the encoder's padding at the end.
+ */
+export function muxOggOpus(packets, { sampleCount, inputSampleRate = OPUS_SAMPLE_RATE, preSkip = OPUS_DEFAULT_PRE_SKIP, serial = 0x53544F4E } = {}) {
+    const head = new Uint8Array(19);
+    const headView = new DataView(head.buffer);
+    writeString(headView, 0, 'OpusHead');
+    headView.setUint8(8, 1); // Version
+    headView.setUint8(9, 1); // Mono
+    headView.setUint16(10, preSkip, true);
+    headView.setUint32(12, inputSampleRate, true);
+    headView.setInt16(16, 0, true); // Output gain
+    headView.setUint8(18, 0); // Mono/stereo channel mapping
+
+    const tags = new Uint8Array(8 + 4 + VENDOR.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    writeString(tagsView, 0, 'OpusTags');
+    tagsView.setUint32(8, VENDOR.length, true);
+    writeString(tagsView, 12, VENDOR);
+    tagsView.setUint32(12 + VENDOR.length, 0, true); // No user comments
+
+    const pages = [
+        oggPage([head], { granule: 0, serial, sequence: 0, first: true }),
+        oggPage([tags], { granule: 0, serial, sequence: 1 })
+    ];
+    const endGranule = preSkip + sampleCount;
+    let granule = preSkip;
+    for (let i = 0; i < packets.length; i += OGG_PACKETS_PER_PAGE) {
+        const pagePackets = packets.slice(i, i + OGG_PACKETS_PER_PAGE);
+        const last = i + OGG_PACKETS_PER_PAGE >= packets.length;
+        granule += pagePackets.reduce((sum, packet) => sum + packet.samples, 0);
+        pages.push(oggPage(pagePackets.map(packet => packet.data), {
+            granule: last ? endGranule : Math.min(granule, endGranule),
+            serial,
+            sequence: pages.length,
+            last
+        }));
+    }
+
+    const out = new Uint8Array(pages.reduce((sum, page) => sum + page.length, 0));
+    let offset = 0;
+    for (const page of pages) {
+        out.set(page, offset);
+        offset += page.length;
+    }
+    return out.buffer;
+}
+
+// Opus only runs at 48 kHz; let the browser's resampler convert the model's rate
+async function resampleTo48k(samples, sampleRate) {
+    if (sampleRate === OPUS_SAMPLE_RATE) {
+        return samples;
+    }
+    if (typeof OfflineAudioContext === 'undefined') {
+        throw new Error('Opus export needs OfflineAudioContext to resample audio');
+    }
+    const length = Math.ceil(samples.length * OPUS_SAMPLE_RATE / sampleRate);
+    const context = new OfflineAudioContext(1, length, OPUS_SAMPLE_RATE);
+    const buffer = context.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    const rendered = await context.startRendering();
+    return rendered.getChannelData(0);
+}
+
+/**
+ * Encode mono audio as Opus in Ogg with the browser's WebCodecs AudioEncoder
+ */
+export async function encodeOpus(samples, sampleRate, bitrate = 64000) {
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('Opus export needs WebCodecs (AudioEncoder), which this browser does not support');
+    }
+    const config = {
+        codec: 'opus',
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfChannels: 1,
+        bitrate,
+        opus: { frameDuration: OPUS_FRAME_DURATION_US }
+    };
+    const { supported } = await AudioEncoder.isConfigSupported(config);
+    if (!supported) {
+        throw new Error('This browser cannot encode Opus audio');
+    }
+
+    const resampled = await resampleTo48k(samples, sampleRate);
+    const packets = [];
+    let preSkip = OPUS_DEFAULT_PRE_SKIP;
+    let failure = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            // The encoder's own OpusHead, when it provides one, knows its exact lookahead
+            const description = metadata?.decoderConfig?.description;
+            if (description && description.byteLength >= 12) {
+                preSkip = new DataView(description instanceof ArrayBuffer ? description : description.buffer).getUint16(10, true);
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            packets.push({ data, samples: Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1e6) });
+        },
+        error: (error) => {
+            failure = error;
+        }
+    });
+    encoder.configure(config);
+
+    const frameSamples = OPUS_SAMPLE_RATE * OPUS_FRAME_DURATION_US / 1e6;
+    for (let start = 0; start < resampled.length; start += frameSamples * OGG_PACKETS_PER_PAGE) {
+        const data = resampled.slice(start, start + frameSamples * OGG_PACKETS_PER_PAGE);
+        const audioData = new AudioData({
+            format: 'f32',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: 1,
+            numberOfFrames: data.length,
+            timestamp: Math.round(start * 1e6 / OPUS_SAMPLE_RATE),
+            data
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) {
+        throw failure;
+    }
+
+    return muxOggOpus(packets, { sampleCount: resampled.length, inputSampleRate: sampleRate, preSkip });
+}
+
+/**
+ * Export formats offered by the format picker; encode() may return a promise
+ */
+export const EXPORT_FORMATS = {
+    wav16: { label: 'WAV 16-bit (dithered)', extension: 'wav', mimeType: 'audio/wav', encode: (samples, sampleRate) => encodeWav(samples, sampleRate, 'int16') },
+    wav24: { label: 'WAV 24-bit', extension: 'wav', mimeType: 'audio/wav', encode: (samples, sampleRate) => encodeWav(samples, sampleRate, 'int24') },
+    wav32f: { label: 'WAV 32-bit float', extension: 'wav', mimeType: 'audio/wav', encode: (samples, sampleRate) => encodeWav(samples, sampleRate, 'float32') },
+    flac: { label: 'FLAC 16-bit (lossless)', extension: 'flac', mimeType: 'audio/flac', encode: (samples, sampleRate) => encodeFlac(samples, sampleRate, 16) },
+    flac24: { label: 'FLAC 24-bit (lossless)', extension: 'flac', mimeType: 'audio/flac', encode: (samples, sampleRate) => encodeFlac(samples, sampleRate, 24) },
+    opus: { label: 'Opus in Ogg (compressed)', extension: 'ogg', mimeType: 'audio/ogg; codecs=opus', encode: (samples, sampleRate) => encodeOpus(samples, sampleRate) }
+};
+
+export async function encodeAudio(samples, sampleRate, format = 'wav16') {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unsupported export format "${format}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return exportFormat.encode(samples, sampleRate);
+}
@@ -0,0 +1,12 @@
+// Errors shared by the engine, the worker and the page-side client; no dependencies,
+// so the client and the embeddable element do not pull in ONNX Runtime for them
+
+/**
+ * Error raised when a generation is stopped through its abort signal
+ */
+export class GenerationCancelledError extends Error {
+    constructor(message = 'Generation cancelled') {
+        super(message);
+        this.name = 'GenerationCancelledError';
+    }
+}
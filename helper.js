@@ -1,13 +1,23 @@
-import * as ort from 'onnxruntime-web';
+import * as ort from '#onnxruntime';
+import { applyLexicon, compileLexicon, lexiconSpans, validateLexicon } from './lexicon.js';
+import { normalizationSpans, normalizeText } from './normalizer.js';
+import { getLanguageRules, resolveLanguage } from './languages.js';
+import { DEFAULT_PAUSES, applyFades, boundaryAfter, joinChunks, resolvePauses, trimSilence } from './joins.js';
+import { ChunkCache, chunkCacheKey } from './chunkCache.js';
+import { fetchModel, modelVersion } from './modelStore.js';
+import { createRng, encodeWav } from './encoders.js';
+import { GenerationCancelledError } from './errors.js';
+
+export { GenerationCancelledError };
 
 // Pre-compiled regex patterns for performance
 const EMOJI_PATTERN = /[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E6}-\u{1F1FF}]+/gu;
-const DIACRITICS_PATTERN = /[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g;
 const SPECIAL_SYMBOLS_PATTERN = /[♥☆♡©\\]/g;
 const SPACING_PUNCTUATION_PATTERN = / ([,.!?;:'])/g;
 const MULTIPLE_SPACES_PATTERN = /\s+/g;
-const ENDING_PUNCTUATION_PATTERN = /[.!?;:,'"')\]}…。」』】〉》›»]$/;
-const SENTENCE_SPLIT_PATTERN = /(?<!Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sr\.|Jr\.|Ph\.D\.|etc\.|e\.g\.|i\.e\.|vs\.|Inc\.|Ltd\.|Co\.|Corp\.|St\.|Ave\.|Blvd\.)(?<!\b[A-Z]\.)(?<=[.!?])\s+/;
+// Clause breaks for sentences too long for one chunk; full-width punctuation needs no space after it
+const CLAUSE_SPLIT_PATTERN = /(?<=[,;:—])\s+|(?<=[、，；：])/;
+const DIALOGUE_LINE_PATTERN = /^\s*([A-Za-z0-9_][A-Za-z0-9_ -]{0,31}?)\s*:\s*(.*)$/;
 
 // Character replacement maps (pre-defined for performance)
 const CHAR_REPLACEMENTS = {
@@ -16,23 +26,59 @@ const CHAR_REPLACEMENTS = {
     '´': "'", '`': "'", '[': ' ', ']': ' ', '|': ' ',
     '/': ' ', '#': ' ', '→': ' ', '←': ' ',
 };
-const EXPR_REPLACEMENTS = {
-    '@': ' at ',
-    'e.g.,': 'for example, ',
-    'i.e.,': 'that is, ',
-};
 const DUPLICATE_QUOTES = [['""', '"'], ["''", "'"], ['``', '`']];
 
+// Pre-flight analysis: why a character is not spoken as written
+const ANALYSIS_MESSAGES = {
+    emoji: 'Emoji are removed',
+    symbol: 'Symbol is removed',
+    replaced: 'Replaced with a space',
+    diacritic: 'Accent is removed',
+    unknown: "Not in the model's character set, sent as unknown",
+};
+
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new GenerationCancelledError();
+    }
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derive a per-chunk seed from the request seed and the chunk text (FNV-1a),
+ * so a chunk's noise does not depend on where it sits in the text
+ */
+function deriveSeed(seed, text) {
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
 /**
  * Unicode Text Processor
  */
 export class UnicodeProcessor {
     constructor(indexer) {
         this.indexer = indexer;
+        this.lexicon = [];
+    }
+
+    /**
+     * Replace the pronunciation lexicon; returns the number of entries in use
+     */
+    setLexicon(lexicon) {
+        this.lexicon = compileLexicon(validateLexicon(lexicon));
+        return this.lexicon.length;
     }
 
-    call(textList) {
-        const processedTexts = textList.map(text => this.preprocessText(text));
+    call(textList, language = 'en') {
+        const processedTexts = textList.map(text => this.preprocessText(text, language));
 
         const textIdsLengths = processedTexts.map(text => text.length);
         const maxLen = Math.max(...textIdsLengths);
@@ -50,11 +96,22 @@ export class UnicodeProcessor {
         return { textIds, textMask };
     }
 
-    preprocessText(text) {
-        // TODO: Need advanced normalizer for better performance
-        text = text.normalize('NFKD');
+    /**
+     * Lexicon respellings, then numbers, dates, currency and units spelled out
+     * for languages whose rules ask for it
+     */
+    normalize(text, language = 'en') {
+        // Respell lexicon entries first, so they match the text as the user typed it
+        text = applyLexicon(text, this.lexicon);
+        return getLanguageRules(language).normalizeNumbers ? normalizeText(text) : text;
+    }
 
-        // FIXME: this should be fixed for non-English languages
+    preprocessText(text, language = 'en') {
+        const rules = getLanguageRules(language);
+        text = this.normalize(text, rules.code);
+
+        // Decompose so combining marks can be handled separately
+        text = text.normalize('NFKD');
 
         // Remove emojis (wide Unicode range) - using pre-compiled pattern
         text = text.replace(EMOJI_PATTERN, '');
@@ -64,14 +121,16 @@ export class UnicodeProcessor {
             text = text.replaceAll(k, v);
         }
 
-        // Remove combining diacritics - using pre-compiled pattern
-        text = text.replace(DIACRITICS_PATTERN, '');
+        // Remove combining diacritics for languages that do not keep them
+        if (rules.diacritics) {
+            text = text.replace(rules.diacritics, '');
+        }
 
         // Remove special symbols - using pre-compiled pattern
         text = text.replace(SPECIAL_SYMBOLS_PATTERN, '');
 
-        // Replace known expressions using pre-defined map
-        for (const [k, v] of Object.entries(EXPR_REPLACEMENTS)) {
+        // Replace the language's known expressions
+        for (const [k, v] of Object.entries(rules.expressions)) {
             text = text.replaceAll(k, v);
         }
 
@@ -88,14 +147,77 @@ export class UnicodeProcessor {
         // Remove extra spaces - using pre-compiled pattern
         text = text.replace(MULTIPLE_SPACES_PATTERN, ' ').trim();
 
-        // If text doesn't end with punctuation, quotes, or closing brackets, add a period
-        if (!ENDING_PUNCTUATION_PATTERN.test(text)) {
-            text += '.';
+        // If text doesn't end with punctuation, quotes, or closing brackets, end the sentence
+        if (!rules.endingPattern.test(text)) {
+            text += rules.sentenceEnd;
         }
 
         return text;
     }
 
+    /**
+     * Pre-flight check of the text as typed. Returns every character that
+     * preprocessing drops or the indexer does not know, with UTF-16 offsets:
+     * [{ start, end, text, rule, message }]
+     */
+    analyze(text, language = 'auto') {
+        const rules = getLanguageRules(language, text);
+        const issues = [];
+        // Text the lexicon or the normalizer rewrites is spoken as its replacement
+        const covered = [
+            ...lexiconSpans(text, this.lexicon),
+            ...(rules.normalizeNumbers ? normalizationSpans(text) : [])
+        ];
+
+        for (const match of text.matchAll(EMOJI_PATTERN)) {
+            const end = match.index + match[0].length;
+            issues.push({ start: match.index, end, text: match[0], rule: 'emoji', message: ANALYSIS_MESSAGES.emoji });
+            covered.push([match.index, end]);
+        }
+
+        let start = 0;
+        for (const char of text) {
+            const end = start + char.length;
+            const rule = covered.some(([from, to]) => start >= from && start < to) ? null : this.classifyChar(char, rules);
+            if (rule) {
+                issues.push({ start, end, text: char, rule, message: ANALYSIS_MESSAGES[rule] });
+            }
+            start = end;
+        }
+
+        return issues.sort((a, b) => a.start - b.start);
+    }
+
+    // Mirrors preprocessText for a single character
+    classifyChar(char, rules) {
+        if (/\s/.test(char)) {
+            return null;
+        }
+        if (char.search(SPECIAL_SYMBOLS_PATTERN) !== -1) {
+            return 'symbol';
+        }
+
+        let decomposed = char.normalize('NFKD');
+        for (const [k, v] of Object.entries(CHAR_REPLACEMENTS)) {
+            decomposed = decomposed.replaceAll(k, v);
+        }
+        if (!decomposed.trim()) {
+            return 'replaced';
+        }
+
+        const stripped = rules.diacritics ? decomposed.replace(rules.diacritics, '') : decomposed;
+        for (const symbol of stripped) {
+            if (!this.isKnown(symbol.codePointAt(0))) {
+                return 'unknown';
+            }
+        }
+        return stripped !== decomposed ? 'diacritic' : null;
+    }
+
+    isKnown(codePoint) {
+        return codePoint < this.indexer.length && this.indexer[codePoint] >= 0;
+    }
+
     getTextMask(textIdsLengths) {
         const maxLen = Math.max(...textIdsLengths);
         return this.lengthToMask(textIdsLengths, maxLen);
@@ -137,13 +259,33 @@ export class TextToSpeech {
         this.vectorEstOrt = vectorEstOrt;
         this.vocoderOrt = vocoderOrt;
         this.sampleRate = cfgs.ae.sample_rate;
+        this.chunkCache = new ChunkCache();
+        // Cached chunks from another model configuration never match
+        this.modelVersion = modelVersion(cfgs);
+    }
+
+    /**
+     * Style tensor shapes the loaded sessions expect, null where the runtime
+     * does not report input metadata
+     */
+    getStyleShapes() {
+        const findShape = (session, name) => {
+            const shape = session.inputMetadata?.find?.(meta => meta.name === name)?.shape;
+            return shape?.length ? Array.from(shape) : null;
+        };
+        return {
+            style_ttl: findShape(this.textEncOrt, 'style_ttl'),
+            style_dp: findShape(this.dpOrt, 'style_dp')
+        };
     }
 
-    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null) {
+    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null, signal = null, seeds = null, language = 'en') {
+        throwIfCancelled(signal);
+
         const bsz = textList.length;
 
         // Process text
-        const { textIds, textMask } = this.textProcessor.call(textList);
+        const { textIds, textMask } = this.textProcessor.call(textList, language);
 
         // Optimized: Direct BigInt64Array creation without intermediate array
         const textLen = textIds[0].length;
@@ -184,6 +326,7 @@ export class TextToSpeech {
                 text_mask: textMaskTensor
             });
             const textEmb = textEncOutputs.text_emb;
+            tensorsToDispose.push(textEmb);
 
             // Sample noisy latent
             let { xt, latentMask } = this.sampleNoisyLatent(
@@ -191,7 +334,8 @@ export class TextToSpeech {
                 this.sampleRate,
                 this.cfgs.ae.base_chunk_size,
                 this.cfgs.ttl.chunk_compress_factor,
-                this.cfgs.ttl.latent_dim
+                this.cfgs.ttl.latent_dim,
+                seeds
             );
 
             const latentMaskFlat = new Float32Array(latentMask.flat(2));
@@ -213,6 +357,8 @@ export class TextToSpeech {
 
             // Denoising loop
             for (let step = 0; step < totalStep; step++) {
+                throwIfCancelled(signal);
+
                 if (progressCallback) {
                     progressCallback(step + 1, totalStep);
                 }
@@ -260,6 +406,8 @@ export class TextToSpeech {
                 }
             }
 
+            throwIfCancelled(signal);
+
             // Generate waveform
             let finalIdx = 0;
             for (let b = 0; b < bsz; b++) {
@@ -292,40 +440,247 @@ export class TextToSpeech {
         }
     }
 
-    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null) {
+    async call(text, style, totalStep, speed = 1.05, pauses = DEFAULT_PAUSES, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
         if (style.ttl.dims[0] !== 1) {
             throw new Error('Single speaker text to speech only supports single style');
         }
-        const textList = chunkText(text);
-        let wavCat = null;
-        let durCat = 0;
+        seed = seed === null ? randomSeed() : seed >>> 0;
+        language = resolveLanguage(language, text);
+        pauses = resolvePauses(pauses);
+        const chunks = chunkText(text, 300, language);
+        const textList = chunks.map(chunk => chunk.text);
+        const totalChunks = textList.length;
+
+        // Chunks heard before with the same voice, settings and seed come from the cache; only the rest are synthesized
+        const chunkSeeds = textList.map(chunk => deriveSeed(seed, chunk));
+        const cacheKeys = this.chunkCache ? textList.map((chunk, i) => chunkCacheKey({
+            text: this.textProcessor.normalize(chunk, language),
+            style,
+            totalStep,
+            speed,
+            seed: chunkSeeds[i],
+            language,
+            modelVersion: this.modelVersion
+        })) : [];
+        const chunkWavs = this.chunkCache
+            ? await Promise.all(cacheKeys.map(key => this.chunkCache.get(key)))
+            : new Array(totalChunks).fill(null);
+        const chunkDurations = chunkWavs.map(chunkWav => chunkWav && chunkWav.length / this.sampleRate);
+        const missing = textList.map((_, i) => i).filter(i => !chunkWavs[i]);
+        const cachedChunks = totalChunks - missing.length;
+        const batches = planBatches(missing.map(i => textList[i]), batchSize).map(batch => batch.map(j => missing[j]));
+        let processedChunks = cachedChunks;
+        let nextToEmit = 0;
+
+        // Hand chunks out in text order as soon as they are ready so playback can start early
+        const emitReady = () => {
+            while (nextToEmit < totalChunks && chunkWavs[nextToEmit]) {
+                if (chunkCallback) {
+                    chunkCallback(chunkWavs[nextToEmit], chunkDurations[nextToEmit], nextToEmit + 1, totalChunks, nextToEmit > 0 ? pauses[chunks[nextToEmit - 1].boundary] : 0, textList[nextToEmit]);
+                }
+                nextToEmit++;
+            }
+        };
 
-        for (const chunk of textList) {
-            const { wav, duration } = await this._infer([chunk], style, totalStep, speed, progressCallback);
+        if (cachedChunks > 0 && progressCallback) {
+            progressCallback(0, totalStep, cachedChunks, totalChunks, cachedChunks / totalChunks, cachedChunks);
+        }
+        emitReady();
+
+        for (const batch of batches) {
+            throwIfCancelled(signal);
+            const batchStyle = this.tileStyle(style, batch.length);
+
+            try {
+                const { wav, duration } = await this._infer(
+                    batch.map(i => textList[i]),
+                    batchStyle,
+                    totalStep,
+                    speed,
+                    (step, total) => {
+                        if (progressCallback) {
+                            // Calculate overall progress across chunks and steps
+                            const chunkProgress = processedChunks / totalChunks;
+                            const stepProgress = step / total * batch.length / totalChunks;
+                            const overallProgress = chunkProgress + stepProgress;
+                            progressCallback(step, total, processedChunks + 1, totalChunks, overallProgress, cachedChunks);
+                        }
+                    },
+                    signal,
+                    batch.map(i => chunkSeeds[i]),
+                    language
+                );
+
+                // The vocoder pads every item to the longest one; trim each to its own duration,
+                // then to the speech inside it, and fade the edges so joins do not click
+                const itemLen = wav.length / batch.length;
+                batch.forEach((chunkIdx, b) => {
+                    const wavLen = Math.min(itemLen, Math.floor(duration[b] * this.sampleRate));
+                    const speech = trimSilence(wav.slice(b * itemLen, b * itemLen + wavLen), this.sampleRate);
+                    chunkWavs[chunkIdx] = applyFades(speech, this.sampleRate);
+                    chunkDurations[chunkIdx] = speech.length / this.sampleRate;
+                });
+            } finally {
+                if (batchStyle !== style) {
+                    batchStyle.ttl.dispose();
+                    batchStyle.dp.dispose();
+                }
+            }
 
-            if (wavCat === null) {
-                wavCat = wav;
-                durCat = duration[0];
-            } else {
-                // Optimized: Use TypedArray concatenation instead of spread operator
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const newWav = new Float32Array(wavCat.length + silenceLen + wav.length);
-                newWav.set(wavCat instanceof Float32Array ? wavCat : new Float32Array(wavCat), 0);
-                // Silence is already zeros in TypedArray
-                newWav.set(wav instanceof Float32Array ? wav : new Float32Array(wav), wavCat.length + silenceLen);
-                wavCat = newWav;
-                durCat += duration[0] + silenceDuration;
+            if (this.chunkCache) {
+                await Promise.all(batch.map(i => this.chunkCache.set(cacheKeys[i], chunkWavs[i])));
+            }
+            processedChunks += batch.length;
+            emitReady();
+        }
+
+        // Join chunks with a pause that depends on how each one ends, noting when each sentence is spoken
+        const { wav: wavCat, offsets } = joinChunks(
+            chunkWavs.map((chunkWav, i) => ({ wav: chunkWav, boundary: chunks[i].boundary })),
+            pauses,
+            this.sampleRate
+        );
+        const timeline = textList.flatMap((chunk, i) => sentenceCues(chunk, offsets[i] / this.sampleRate, chunkDurations[i], language));
+
+        return { wav: wavCat, duration: [wavCat.length / this.sampleRate], seed, language, timeline, chunkCount: totalChunks, batchCount: batches.length, cachedChunks };
+    }
+
+    /**
+     * Repeat a single style along the batch dimension for batched inference
+     */
+    tileStyle(style, count) {
+        if (count === 1) {
+            return style;
+        }
+        const tile = (tensor) => {
+            const tiled = new Float32Array(tensor.data.length * count);
+            for (let i = 0; i < count; i++) {
+                tiled.set(tensor.data, i * tensor.data.length);
+            }
+            return new ort.Tensor('float32', tiled, [count, ...tensor.dims.slice(1)]);
+        };
+        return new Style(tile(style.ttl), tile(style.dp));
+    }
+
+    /**
+     * Synthesize a sequence of segments into one track. Speech segments are
+     * { text, style, speed, speaker? }; breaks are { silence } in seconds.
+     * Chunks inside a segment are spaced by the boundary pauses.
+     */
+    async callSegments(segments, totalStep, pauses = DEFAULT_PAUSES, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
+        seed = seed === null ? randomSeed() : seed >>> 0;
+        const speechCount = segments.filter(segment => segment.silence === undefined).length;
+        const parts = [];
+        const speakers = new Map();
+        const timeline = [];
+        let position = 0;
+        let pendingSilence = 0;
+        let speechIndex = 0;
+        let chunkCount = 0;
+        let batchCount = 0;
+        let cachedChunks = 0;
+
+        for (const segment of segments) {
+            if (segment.silence !== undefined) {
+                pendingSilence += segment.silence;
+                continue;
             }
+
+            const index = speechIndex++;
+            const gap = pendingSilence;
+            if (gap > 0) {
+                parts.push(new Float32Array(Math.floor(gap * this.sampleRate)));
+                position += parts[parts.length - 1].length;
+            }
+            pendingSilence = 0;
+
+            const { wav, duration, timeline: segmentTimeline, chunkCount: segmentChunks, batchCount: segmentBatches, cachedChunks: segmentCached } = await this.call(
+                segment.text,
+                segment.style,
+                totalStep,
+                segment.speed,
+                pauses,
+                progressCallback ? (step, total, chunkIndex, totalChunks, overallProgress, cached) => {
+                    progressCallback(step, total, chunkIndex, totalChunks, (index + overallProgress) / speechCount, cached);
+                } : null,
+                chunkCallback ? (chunkWav, chunkDuration, chunkIndex, totalChunks, leadingSilence, chunkText) => {
+                    // The first chunk of a segment waits for the pause before it
+                    chunkCallback(chunkWav, chunkDuration, chunkIndex, totalChunks, chunkIndex === 1 ? gap : leadingSilence, chunkText);
+                } : null,
+                signal,
+                seed,
+                batchSize,
+                language
+            );
+
+            // Segments come back trimmed to their speech, so the silence entries between them set every gap
+            const start = position / this.sampleRate;
+            parts.push(wav);
+            position += wav.length;
+            for (const cue of segmentTimeline) {
+                timeline.push({
+                    ...cue,
+                    start: start + cue.start,
+                    end: Math.min(start + cue.end, position / this.sampleRate),
+                    ...(segment.speaker !== undefined && { speaker: segment.speaker })
+                });
+            }
+            chunkCount += segmentChunks;
+            batchCount += segmentBatches;
+            cachedChunks += segmentCached;
+
+            if (segment.speaker !== undefined) {
+                const stats = speakers.get(segment.speaker) || { speaker: segment.speaker, lines: 0, duration: 0 };
+                stats.lines++;
+                stats.duration += duration[0];
+                speakers.set(segment.speaker, stats);
+            }
+        }
+        if (pendingSilence > 0) {
+            parts.push(new Float32Array(Math.floor(pendingSilence * this.sampleRate)));
+        }
+
+        const totalLen = parts.reduce((sum, part) => sum + part.length, 0);
+        const wavCat = new Float32Array(totalLen);
+        let offset = 0;
+        for (const part of parts) {
+            wavCat.set(part, offset);
+            offset += part.length;
         }
 
-        return { wav: wavCat || [], duration: [durCat] };
+        return {
+            wav: wavCat,
+            duration: [totalLen / this.sampleRate],
+            seed,
+            speakers: speakers.size > 0 ? [...speakers.values()] : undefined,
+            timeline,
+            chunkCount,
+            batchCount,
+            cachedChunks
+        };
     }
 
-    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null) {
-        return await this._infer(textList, style, totalStep, speed, progressCallback);
+    /**
+     * Synthesize a multi-speaker script. Each turn is { speaker, text, style };
+     * turns are joined with turnGap seconds of silence into one track.
+     */
+    async callDialogue(turns, totalStep, speed = 1.05, pauses = DEFAULT_PAUSES, turnGap = 0.5, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
+        const segments = turns.flatMap((turn, i) => {
+            const segment = { ...turn, speed };
+            return i > 0 ? [{ silence: turnGap }, segment] : [segment];
+        });
+        return this.callSegments(segments, totalStep, pauses, progressCallback, chunkCallback, signal, seed, batchSize, language);
+    }
+
+    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null, signal = null, seed = null, language = 'auto') {
+        seed = seed === null ? randomSeed() : seed >>> 0;
+        language = resolveLanguage(language, textList.join(' '));
+        const seeds = textList.map(text => deriveSeed(seed, text));
+        const result = await this._infer(textList, style, totalStep, speed, progressCallback, signal, seeds, language);
+        return { ...result, seed, language };
     }
 
-    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim, seeds = null) {
         const bsz = duration.length;
         const maxDur = Math.max(...duration);
 
@@ -335,6 +690,7 @@ export class TextToSpeech {
         const chunkSize = baseChunkSize * chunkCompress;
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDimVal = latentDim * chunkCompress;
+        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
 
         // Pre-allocate 3D array structure
         const xt = new Array(bsz);
@@ -352,16 +708,18 @@ export class TextToSpeech {
 
         let idx = 0;
         for (let b = 0; b < bsz; b++) {
+            // One generator per batch item keeps each item reproducible on its own
+            const random = seeds ? createRng(seeds[b]) : Math.random;
+            // Draw only over the item's own length so its noise does not depend on batch padding
             for (let d = 0; d < latentDimVal; d++) {
-                for (let t = 0; t < latentLen; t++) {
-                    const u1 = Math.max(0.0001, Math.random());
-                    const u2 = Math.random();
+                for (let t = 0; t < latentLengths[b]; t++) {
+                    const u1 = Math.max(0.0001, random());
+                    const u2 = random();
                     xt[b][d][t] = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(TWO_PI * u2);
                 }
             }
         }
 
-        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
         const latentMask = this.lengthToMask(latentLengths, latentLen);
 
         // Apply mask
@@ -394,14 +752,24 @@ export class TextToSpeech {
  * Load voice style from JSON files
  */
 export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
-    const bsz = voiceStylePaths.length;
+    const voiceStyles = [];
+    for (const voiceStylePath of voiceStylePaths) {
+        const response = await fetch(voiceStylePath);
+        voiceStyles.push(await response.json());
+    }
+    return voiceStyleFromJSON(voiceStyles, verbose);
+}
 
-    // Read first file to get dimensions
-    const firstResponse = await fetch(voiceStylePaths[0]);
-    const firstStyle = await firstResponse.json();
+/**
+ * Build a Style from already-parsed voice style JSON objects
+ */
+export function voiceStyleFromJSON(voiceStyles, verbose = false) {
+    const bsz = voiceStyles.length;
+    voiceStyles.forEach(voiceStyle => validateVoiceStyle(voiceStyle));
 
-    const ttlDims = firstStyle.style_ttl.dims;
-    const dpDims = firstStyle.style_dp.dims;
+    // Use first style to get dimensions
+    const ttlDims = voiceStyles[0].style_ttl.dims;
+    const dpDims = voiceStyles[0].style_dp.dims;
 
     const ttlDim1 = ttlDims[1];
     const ttlDim2 = ttlDims[2];
@@ -416,8 +784,7 @@ export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
 
     // Fill in the data
     for (let i = 0; i < bsz; i++) {
-        const response = await fetch(voiceStylePaths[i]);
-        const voiceStyle = await response.json();
+        const voiceStyle = voiceStyles[i];
 
         // Flatten TTL data
         const ttlData = voiceStyle.style_ttl.data.flat(Infinity);
@@ -443,6 +810,101 @@ export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
     return new Style(ttlTensor, dpTensor);
 }
 
+/**
+ * Validate a parsed voice style JSON object. Checks the style_ttl/style_dp
+ * structure and, when expectedShapes is given, the shapes the loaded
+ * sessions expect. Throws an Error describing the first problem found.
+ */
+export function validateVoiceStyle(voiceStyle, expectedShapes = null) {
+    if (!voiceStyle || typeof voiceStyle !== 'object' || Array.isArray(voiceStyle)) {
+        throw new Error('Voice style must be a JSON object with style_ttl and style_dp');
+    }
+
+    for (const key of ['style_ttl', 'style_dp']) {
+        const tensor = voiceStyle[key];
+        if (!tensor || !Array.isArray(tensor.dims) || !Array.isArray(tensor.data)) {
+            throw new Error(`Voice style is missing ${key}.dims or ${key}.data`);
+        }
+
+        const { dims } = tensor;
+        if (dims.length !== 3 || !dims.every(d => Number.isInteger(d) && d > 0)) {
+            throw new Error(`${key}.dims must be three positive integers, got [${dims}]`);
+        }
+        if (dims[0] !== 1) {
+            throw new Error(`${key}.dims[0] must be 1 (one voice per file), got ${dims[0]}`);
+        }
+
+        // Symbolic (string) dimensions in the model accept any size
+        const expected = expectedShapes?.[key];
+        if (expected?.length === 3) {
+            for (let i = 1; i < 3; i++) {
+                if (typeof expected[i] === 'number' && expected[i] !== dims[i]) {
+                    throw new Error(`${key} has shape [${dims}] but the loaded model expects [${expected}]`);
+                }
+            }
+        }
+
+        const data = tensor.data.flat(Infinity);
+        const size = dims[0] * dims[1] * dims[2];
+        if (data.length !== size) {
+            throw new Error(`${key}.data has ${data.length} values but dims [${dims}] need ${size}`);
+        }
+        if (!data.every(value => Number.isFinite(value))) {
+            throw new Error(`${key}.data must contain only finite numbers`);
+        }
+    }
+}
+
+/**
+ * Blend voice style JSON objects by weighted interpolation.
+ * Weights are normalized to sum to 1 and the result uses the same
+ * style_ttl/style_dp schema as the preset files.
+ */
+export function blendVoiceStyles(voiceStyles, weights) {
+    if (voiceStyles.length === 0 || voiceStyles.length !== weights.length) {
+        throw new Error('blendVoiceStyles expects one weight per voice style');
+    }
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (!(totalWeight > 0)) {
+        throw new Error('Blend weights must add up to more than zero');
+    }
+
+    const blendTensor = (key) => {
+        const dims = voiceStyles[0][key].dims;
+        const blended = new Float32Array(dims.reduce((a, b) => a * b, 1));
+
+        voiceStyles.forEach((voiceStyle, i) => {
+            if (voiceStyle[key].dims.join() !== dims.join()) {
+                throw new Error(`Cannot blend ${key} of shape [${voiceStyle[key].dims}] with [${dims}]`);
+            }
+            const data = voiceStyle[key].data.flat(Infinity);
+            const weight = weights[i] / totalWeight;
+            for (let j = 0; j < blended.length; j++) {
+                blended[j] += weight * data[j];
+            }
+        });
+
+        return { ...voiceStyles[0][key], dims: [...dims], data: nestArray(Array.from(blended), dims) };
+    };
+
+    return { style_ttl: blendTensor('style_ttl'), style_dp: blendTensor('style_dp') };
+}
+
+/**
+ * Reshape a flat array into nested arrays matching dims
+ */
+function nestArray(flat, dims) {
+    if (dims.length <= 1) {
+        return flat;
+    }
+    const stride = flat.length / dims[0];
+    const nested = new Array(dims[0]);
+    for (let i = 0; i < dims[0]; i++) {
+        nested[i] = nestArray(flat.slice(i * stride, (i + 1) * stride), dims.slice(1));
+    }
+    return nested;
+}
+
 /**
  * Load configuration from JSON
  */
@@ -462,7 +924,7 @@ export async function loadTextProcessor(onnxDir) {
 }
 
 /**
- * Load ONNX model
+ * Load ONNX model from a URL or the model file's bytes
  */
 export async function loadOnnx(onnxPath, options) {
     const session = await ort.InferenceSession.create(onnxPath, options);
@@ -470,7 +932,9 @@ export async function loadOnnx(onnxPath, options) {
 }
 
 /**
- * Load all TTS components
+ * Load all TTS components. Model files come from the model store, so
+ * progressCallback(modelName, current, total, loadedBytes, totalBytes, cached)
+ * is called as each file downloads.
  */
 export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null) {
     console.log('Using WebAssembly/WebGPU for inference');
@@ -489,12 +953,16 @@ export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCal
         { name: 'Vocoder', path: vocoderPath }
     ];
 
+    const version = modelVersion(cfgs);
     const sessions = [];
     for (let i = 0; i < modelPaths.length; i++) {
-        if (progressCallback) {
-            progressCallback(modelPaths[i].name, i + 1, modelPaths.length);
-        }
-        const session = await loadOnnx(modelPaths[i].path, sessionOptions);
+        const { name, path } = modelPaths[i];
+        const bytes = await fetchModel(path, version, (loaded, total, cached) => {
+            if (progressCallback) {
+                progressCallback(name, i + 1, modelPaths.length, loaded, total, cached);
+            }
+        });
+        const session = await loadOnnx(bytes, sessionOptions);
         sessions.push(session);
     }
 
@@ -507,13 +975,82 @@ export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCal
 }
 
 /**
- * Chunk text into manageable segments
+ * Parse a dialogue script of "SPEAKER: text" lines into turns.
+ * Lines without a speaker prefix continue the previous turn.
+ */
+export function parseDialogueScript(script) {
+    const turns = [];
+    const lines = script.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        const match = line.match(DIALOGUE_LINE_PATTERN);
+        if (match) {
+            turns.push({ speaker: match[1], text: match[2], line: i + 1 });
+        } else if (turns.length > 0) {
+            const turn = turns[turns.length - 1];
+            turn.text += (turn.text ? ' ' : '') + line;
+        } else {
+            throw new Error(`Line ${i + 1}: expected "SPEAKER: text", e.g. "F1: Hello there."`);
+        }
+    }
+
+    if (turns.length === 0) {
+        throw new Error('The script has no "SPEAKER: text" lines');
+    }
+    for (const turn of turns) {
+        if (!turn.text.trim()) {
+            throw new Error(`Line ${turn.line}: ${turn.speaker} has no text`);
+        }
+    }
+
+    return turns.map(({ speaker, text }) => ({ speaker, text: text.trim() }));
+}
+
+/**
+ * Group chunk indices into batches of similar text length. Batches run in
+ * order of their earliest chunk so streaming playback can start early.
+ */
+function planBatches(textList, batchSize = 1) {
+    const order = textList.map((_, i) => i);
+    if (batchSize <= 1) {
+        return order.map(i => [i]);
+    }
+
+    order.sort((a, b) => textList[a].length - textList[b].length);
+    const batches = [];
+    for (let i = 0; i < order.length; i += batchSize) {
+        batches.push(order.slice(i, i + batchSize).sort((a, b) => a - b));
+    }
+    return batches.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Spread a chunk's predicted duration over its sentences by length; the model reports no finer timing
  */
-function chunkText(text, maxLen = 300) {
+function sentenceCues(chunk, start, duration, language = 'en') {
+    const sentences = chunk.split(getLanguageRules(language).sentencePattern).filter(sentence => sentence.trim());
+    const totalLength = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+    let cursor = start;
+    return sentences.map(text => {
+        const cue = { text, start: cursor, end: cursor + duration * text.length / totalLength };
+        cursor = cue.end;
+        return cue;
+    });
+}
+
+/**
+ * Chunk text into manageable segments, each { text, boundary } where boundary names the pause after it
+ */
+function chunkText(text, maxLen = 300, language = 'en') {
     if (typeof text !== 'string') {
         throw new Error(`chunkText expects a string, got ${typeof text}`);
     }
 
+    const rules = getLanguageRules(language);
+
     // Split by paragraph (two or more newlines)
     const paragraphs = text.trim().split(/\n\s*\n+/).filter(p => p.trim());
 
@@ -523,74 +1060,41 @@ function chunkText(text, maxLen = 300) {
         paragraph = paragraph.trim();
         if (!paragraph) continue;
 
-        // Split by sentence boundaries using pre-compiled pattern
-        const sentences = paragraph.split(SENTENCE_SPLIT_PATTERN);
+        // Split by the language's sentence boundaries; sentences too long for a chunk also split at clauses
+        const sentences = paragraph.split(rules.sentencePattern)
+            .flatMap(sentence => sentence.length > maxLen ? sentence.split(CLAUSE_SPLIT_PATTERN) : [sentence]);
 
+        const paragraphChunks = [];
         let currentChunk = "";
 
         for (let sentence of sentences) {
             if (currentChunk.length + sentence.length + 1 <= maxLen) {
-                currentChunk += (currentChunk ? " " : "") + sentence;
+                currentChunk += (currentChunk ? rules.joiner : "") + sentence;
             } else {
                 if (currentChunk) {
-                    chunks.push(currentChunk.trim());
+                    paragraphChunks.push(currentChunk.trim());
                 }
                 currentChunk = sentence;
             }
         }
 
         if (currentChunk) {
-            chunks.push(currentChunk.trim());
+            paragraphChunks.push(currentChunk.trim());
         }
+
+        // Each chunk remembers how it ends, which sets the pause after it
+        chunks.push(...paragraphChunks.map((chunk, i) => ({
+            text: chunk,
+            boundary: boundaryAfter(chunk, i === paragraphChunks.length - 1)
+        })));
     }
 
     return chunks;
 }
 
 /**
- * Write WAV file to ArrayBuffer
+ * Write a 16-bit WAV file to ArrayBuffer; encoders.js has the other export formats
  */
 export function writeWavFile(audioData, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * 2;
-
-    // Create ArrayBuffer
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    // Write WAV header
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true); // PCM
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    // Write audio data
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-        const clamped = Math.max(-1.0, Math.min(1.0, audioData[i]));
-        int16Data[i] = Math.floor(clamped * 32767);
-    }
-
-    const dataView = new Uint8Array(buffer, 44);
-    dataView.set(new Uint8Array(int16Data.buffer));
-
-    return buffer;
+    return encodeWav(audioData, sampleRate, 'int16');
 }
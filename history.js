@@ -0,0 +1,101 @@
+// Generation history: finished takes kept in IndexedDB so they survive reloads
+
+const DB_NAME = 'supertonic';
+const DB_VERSION = 1;
+// Entry details and audio live in separate stores so listing the history does not load every take's samples
+const ENTRY_STORE = 'history';
+const AUDIO_STORE = 'historyAudio';
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                database.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+                database.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('History database is open in an older tab; close it and reload'));
+        });
+        // Let the next call retry after a failure
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run callback(entries, audio) in one transaction; resolves with its return
+ * value (or the request's result) once the transaction commits
+ */
+async function transact(mode, callback) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([ENTRY_STORE, AUDIO_STORE], mode);
+        const result = callback(transaction.objectStore(ENTRY_STORE), transaction.objectStore(AUDIO_STORE));
+        transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('History transaction was aborted'));
+    });
+}
+
+/**
+ * Store a take: entry holds its text and settings, pcm its samples. Resolves with the new id.
+ */
+export function addHistoryEntry(entry, pcm) {
+    return transact('readwrite', (entries, audio) => {
+        const request = entries.add({ ...entry, createdAt: Date.now() });
+        request.onsuccess = () => audio.put({ id: request.result, pcm });
+        return request;
+    });
+}
+
+/**
+ * All entries without their audio, newest first
+ */
+export async function listHistoryEntries() {
+    const entries = await transact('readonly', entryStore => entryStore.getAll());
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getHistoryAudio(id) {
+    const record = await transact('readonly', (entries, audio) => audio.get(id));
+    if (!record) {
+        throw new Error(`History entry ${id} has no stored audio`);
+    }
+    return record.pcm;
+}
+
+export function deleteHistoryEntry(id) {
+    return transact('readwrite', (entries, audio) => {
+        entries.delete(id);
+        audio.delete(id);
+    });
+}
+
+export function clearHistory() {
+    return transact('readwrite', (entries, audio) => {
+        entries.clear();
+        audio.clear();
+    });
+}
+
+/**
+ * Bytes used and available to this origin, or null where the browser does not say
+ */
+export async function estimateStorage() {
+    if (!navigator.storage?.estimate) {
+        return null;
+    }
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
@@ -0,0 +1,118 @@
+// Chunk joins: trim the silence around each chunk, fade its edges and space chunks by the boundary between them
+
+const FRAME_DURATION = 0.01;
+// Frames quieter than this relative to the loudest frame, or than the absolute floor, count as silence
+const SILENCE_THRESHOLD_DB = -45;
+const SILENCE_FLOOR_DB = -60;
+// Speech kept on either side of the detected bounds so soft onsets and releases survive
+const SPEECH_MARGIN = 0.02;
+const FADE_DURATION = 0.01;
+
+const ELLIPSIS_END_PATTERN = /(\.\.\.|…|—|–|--)["'”’)\]]*$/;
+const COMMA_END_PATTERN = /[,;:、，；：]["'”’)\]]*$/;
+
+/**
+ * Pause in seconds after a chunk, by how the chunk ends:
+ *   comma      a long sentence split at a comma, semicolon or colon
+ *   sentence   a sentence terminator
+ *   ellipsis   a trailing "...", "…" or dash
+ *   paragraph  the last chunk of a paragraph
+ */
+export const DEFAULT_PAUSES = { comma: 0.15, sentence: 0.3, ellipsis: 0.5, paragraph: 0.6 };
+export const PAUSE_BOUNDARIES = Object.keys(DEFAULT_PAUSES);
+
+/**
+ * Fill in missing boundaries from the defaults; a single number applies to every boundary
+ */
+export function resolvePauses(pauses = DEFAULT_PAUSES) {
+    if (typeof pauses === 'number') {
+        return Object.fromEntries(PAUSE_BOUNDARIES.map(boundary => [boundary, pauses]));
+    }
+    return { ...DEFAULT_PAUSES, ...pauses };
+}
+
+export function boundaryAfter(text, paragraphEnd = false) {
+    if (paragraphEnd) {
+        return 'paragraph';
+    }
+    const trimmed = text.trimEnd();
+    if (ELLIPSIS_END_PATTERN.test(trimmed)) {
+        return 'ellipsis';
+    }
+    if (COMMA_END_PATTERN.test(trimmed)) {
+        return 'comma';
+    }
+    return 'sentence';
+}
+
+/**
+ * Cut leading and trailing silence, measured in 10 ms frames. A chunk with no
+ * audible frame comes back empty.
+ */
+export function trimSilence(wav, sampleRate) {
+    const frameSize = Math.max(1, Math.round(FRAME_DURATION * sampleRate));
+    const levels = [];
+    for (let start = 0; start < wav.length; start += frameSize) {
+        const end = Math.min(start + frameSize, wav.length);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += wav[i] * wav[i];
+        }
+        levels.push(10 * Math.log10(sum / (end - start)));
+    }
+
+    const loudest = Math.max(...levels);
+    if (!Number.isFinite(loudest)) {
+        return new Float32Array(0);
+    }
+    const threshold = Math.max(loudest + SILENCE_THRESHOLD_DB, SILENCE_FLOOR_DB);
+    const first = levels.findIndex(level => level >= threshold);
+    const last = levels.findLastIndex(level => level >= threshold);
+    const margin = Math.round(SPEECH_MARGIN * sampleRate);
+    return wav.slice(Math.max(0, first * frameSize - margin), Math.min(wav.length, (last + 1) * frameSize + margin));
+}
+
+function fadeLength(length, sampleRate) {
+    return Math.min(Math.round(FADE_DURATION * sampleRate), Math.floor(length / 2));
+}
+
+/**
+ * Raised-cosine fade in and out at the chunk edges, in place, so joins do not click
+ */
+export function applyFades(wav, sampleRate) {
+    const length = fadeLength(wav.length, sampleRate);
+    for (let i = 0; i < length; i++) {
+        const gain = 0.5 - 0.5 * Math.cos(Math.PI * i / length);
+        wav[i] *= gain;
+        wav[wav.length - 1 - i] *= gain;
+    }
+    return wav;
+}
+
+/**
+ * Join faded chunks ({ wav, boundary }) with the pause for each chunk's boundary.
+ * A pause of zero crossfades the neighbours over their fades instead.
+ * Returns the joined audio and the sample offset of every chunk.
+ */
+export function joinChunks(chunks, pauses, sampleRate) {
+    const offsets = [];
+    let offset = 0;
+    chunks.forEach(({ wav, boundary }, i) => {
+        offsets.push(offset);
+        if (i === chunks.length - 1) {
+            return;
+        }
+        const pause = pauses[boundary];
+        const overlap = Math.min(fadeLength(wav.length, sampleRate), fadeLength(chunks[i + 1].wav.length, sampleRate));
+        offset += wav.length + (pause > 0 ? Math.round(pause * sampleRate) : -overlap);
+    });
+
+    const totalLen = chunks.length ? offsets[chunks.length - 1] + chunks[chunks.length - 1].wav.length : 0;
+    const wav = new Float32Array(totalLen);
+    chunks.forEach((chunk, i) => {
+        for (let j = 0; j < chunk.wav.length; j++) {
+            wav[offsets[i] + j] += chunk.wav[j];
+        }
+    });
+    return { wav, offsets };
+}
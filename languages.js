@@ -0,0 +1,188 @@
+// Per-language preprocessing rules shared by chunkText and UnicodeProcessor
+
+const REGEX_SPECIAL_PATTERN = /[.*+?^${}()|[\]\\]/g;
+const KANA_PATTERN = /[\u3040-\u30FF]/g;
+const HANGUL_PATTERN = /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/g;
+const HAN_PATTERN = /[\u3400-\u4DBF\u4E00-\u9FFF]/g;
+const LATIN_PATTERN = /[A-Za-z\u00C0-\u024F]/g;
+const WORD_PATTERN = /\p{L}+/gu;
+
+/**
+ * Rule sets by language code:
+ *   diacritics     combining marks to strip after NFKD, or null to keep them
+ *   abbreviations  words whose final period does not end a sentence
+ *   terminators    characters that end a sentence
+ *   spacedTerminators  whether a sentence break also needs whitespace after the terminator
+ *   expressions    literal replacements, e.g. "@" -> " at "
+ *   normalizeNumbers   whether numbers, dates and units are spelled out (English words only)
+ *   sentenceEnd    punctuation added when a chunk has none
+ *   joiner         text placed between sentences joined into one chunk
+ */
+const LANGUAGE_RULES = {
+    en: {
+        name: 'English',
+        diacritics: /[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g,
+        abbreviations: ['Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'Sr.', 'Jr.', 'Ph.D.', 'etc.', 'e.g.', 'i.e.', 'vs.', 'Inc.', 'Ltd.', 'Co.', 'Corp.', 'St.', 'Ave.', 'Blvd.'],
+        terminators: '.!?',
+        spacedTerminators: true,
+        expressions: { '@': ' at ', 'e.g.,': 'for example, ', 'i.e.,': 'that is, ' },
+        normalizeNumbers: true,
+        sentenceEnd: '.',
+        joiner: ' ',
+        stopwords: ['the', 'and', 'is', 'of', 'to', 'in', 'it', 'that', 'was', 'for', 'with', 'this', 'you', 'are'],
+    },
+    es: {
+        name: 'Español',
+        diacritics: null,
+        abbreviations: ['Sr.', 'Sra.', 'Srta.', 'Dr.', 'Dra.', 'Ud.', 'Uds.', 'etc.', 'pág.', 'núm.', 'aprox.'],
+        terminators: '.!?',
+        spacedTerminators: true,
+        expressions: { '@': ' arroba ', 'p. ej.,': 'por ejemplo, ' },
+        normalizeNumbers: false,
+        sentenceEnd: '.',
+        joiner: ' ',
+        stopwords: ['el', 'la', 'los', 'las', 'y', 'es', 'de', 'que', 'en', 'un', 'una', 'por', 'con', 'para', 'está'],
+    },
+    fr: {
+        name: 'Français',
+        diacritics: null,
+        abbreviations: ['M.', 'Mme.', 'Mlle.', 'Dr.', 'etc.', 'av.', 'bd.', 'env.', 'p. ex.'],
+        terminators: '.!?',
+        spacedTerminators: true,
+        expressions: { '@': ' arobase ', 'c.-à-d.': "c'est-à-dire", 'p. ex.,': 'par exemple, ' },
+        normalizeNumbers: false,
+        sentenceEnd: '.',
+        joiner: ' ',
+        stopwords: ['le', 'la', 'les', 'et', 'est', 'de', 'des', 'que', 'un', 'une', 'pour', 'dans', 'avec', 'pas', 'je'],
+    },
+    de: {
+        name: 'Deutsch',
+        diacritics: null,
+        abbreviations: ['Hr.', 'Fr.', 'Dr.', 'Prof.', 'bzw.', 'usw.', 'z.B.', 'd.h.', 'ca.', 'Nr.', 'Str.', 'evtl.'],
+        terminators: '.!?',
+        spacedTerminators: true,
+        expressions: { '@': ' at ', 'z.B.': 'zum Beispiel', 'd.h.': 'das heißt', 'usw.': 'und so weiter' },
+        normalizeNumbers: false,
+        sentenceEnd: '.',
+        joiner: ' ',
+        stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'ich', 'auf', 'für', 'sie', 'den'],
+    },
+    ja: {
+        name: '日本語',
+        diacritics: null,
+        abbreviations: [],
+        terminators: '。！？!?',
+        spacedTerminators: false,
+        expressions: {},
+        normalizeNumbers: false,
+        sentenceEnd: '。',
+        joiner: '',
+        stopwords: [],
+    },
+    zh: {
+        name: '中文',
+        diacritics: null,
+        abbreviations: [],
+        terminators: '。！？!?',
+        spacedTerminators: false,
+        expressions: {},
+        normalizeNumbers: false,
+        sentenceEnd: '。',
+        joiner: '',
+        stopwords: [],
+    },
+    ko: {
+        name: '한국어',
+        diacritics: null,
+        abbreviations: [],
+        terminators: '.!?。！？',
+        spacedTerminators: true,
+        expressions: {},
+        normalizeNumbers: false,
+        sentenceEnd: '.',
+        joiner: ' ',
+        stopwords: [],
+    },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_RULES);
+
+const compiledRules = new Map();
+
+function escapeRegex(text) {
+    return text.replace(REGEX_SPECIAL_PATTERN, '\\$&');
+}
+
+function compileRules(code) {
+    const rules = LANGUAGE_RULES[code];
+    const lookbehinds = rules.abbreviations.map(abbreviation => `(?<!${escapeRegex(abbreviation)})`).join('');
+    // Latin-script languages also keep initials like "J. Smith" together
+    const initials = rules.spacedTerminators ? '(?<!\\b[A-Z]\\.)' : '';
+    const terminators = `[${escapeRegex(rules.terminators)}]`;
+    const sentencePattern = new RegExp(
+        `${lookbehinds}${initials}(?<=${terminators})${rules.spacedTerminators ? '\\s+' : '\\s*'}`
+    );
+
+    return {
+        ...rules,
+        code,
+        sentencePattern,
+        endingPattern: new RegExp(`[${escapeRegex(rules.terminators)};:,'"')\\]}…。」』】〉》›»]$`),
+    };
+}
+
+function count(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * Guess the language from the script, then from common words for Latin text
+ */
+export function detectLanguage(text) {
+    const kana = count(text, KANA_PATTERN);
+    const hangul = count(text, HANGUL_PATTERN);
+    const han = count(text, HAN_PATTERN);
+    if (kana + hangul + han > count(text, LATIN_PATTERN)) {
+        if (kana > 0) return 'ja';
+        return hangul >= han ? 'ko' : 'zh';
+    }
+
+    const words = text.toLowerCase().match(WORD_PATTERN) || [];
+    let best = DEFAULT_LANGUAGE;
+    let bestScore = 0;
+    for (const [code, { stopwords }] of Object.entries(LANGUAGE_RULES)) {
+        const score = words.filter(word => stopwords.includes(word)).length;
+        if (score > bestScore) {
+            best = code;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Resolve a language code, or "auto" to detect it from the text
+ */
+export function resolveLanguage(language, text = '') {
+    const code = !language || language === 'auto' ? detectLanguage(text) : language;
+    if (!LANGUAGE_RULES[code]) {
+        throw new Error(`Unsupported language "${language}". Available: auto, ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    return code;
+}
+
+/**
+ * Compiled rules for a language code or "auto"; compiled once per language
+ */
+export function getLanguageRules(language = DEFAULT_LANGUAGE, text = '') {
+    const code = resolveLanguage(language, text);
+    if (!compiledRules.has(code)) {
+        compiledRules.set(code, compileRules(code));
+    }
+    return compiledRules.get(code);
+}
+
+export function getLanguageName(code) {
+    return LANGUAGE_RULES[code]?.name ?? code;
+}
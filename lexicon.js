@@ -0,0 +1,106 @@
+// Pronunciation lexicon: user entries that respell words before indexing
+
+export const LEXICON_VERSION = 1;
+export const LEXICON_MATCH_TYPES = ['word', 'case', 'regex'];
+
+const REGEX_SPECIAL_PATTERN = /[.*+?^${}()|[\]\\]/g;
+const VALID_FLAGS_PATTERN = /^[imsu]*$/;
+// Word characters in any script, so "Café" and "API" match as whole words
+const WORD_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}_])';
+
+/**
+ * Error raised for an entry that cannot be used; names the entry it refers to
+ */
+export class LexiconError extends Error {
+    constructor(message, index = null) {
+        super(index === null ? message : `Entry ${index + 1}: ${message}`);
+        this.name = 'LexiconError';
+        this.index = index;
+        this.reason = message;
+    }
+}
+
+/**
+ * Check a lexicon and return its entries as { type, pattern, replacement, flags? }.
+ * Accepts an exported file ({ version, entries }) or a bare array of entries.
+ *   word   whole word, any letter case
+ *   case   whole word, exact letter case
+ *   regex  JavaScript regular expression; the replacement may use $1, $2, ...
+ */
+export function validateLexicon(lexicon) {
+    const entries = Array.isArray(lexicon) ? lexicon : lexicon?.entries;
+    if (!Array.isArray(entries)) {
+        throw new LexiconError('Lexicon must be an array of entries or an object with an "entries" array');
+    }
+    if (!Array.isArray(lexicon) && lexicon.version !== undefined && lexicon.version > LEXICON_VERSION) {
+        throw new LexiconError(`Lexicon version ${lexicon.version} is newer than supported version ${LEXICON_VERSION}`);
+    }
+
+    return entries.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new LexiconError('must be an object with pattern and replacement', index);
+        }
+        const { type = 'word', pattern, replacement, flags = '' } = entry;
+        if (!LEXICON_MATCH_TYPES.includes(type)) {
+            throw new LexiconError(`unknown type "${type}", expected one of ${LEXICON_MATCH_TYPES.join(', ')}`, index);
+        }
+        if (typeof pattern !== 'string' || !pattern.trim()) {
+            throw new LexiconError('pattern must be a non-empty string', index);
+        }
+        if (typeof replacement !== 'string') {
+            throw new LexiconError('replacement must be a string', index);
+        }
+        if (type !== 'regex') {
+            return { type, pattern, replacement };
+        }
+
+        if (typeof flags !== 'string' || !VALID_FLAGS_PATTERN.test(flags)) {
+            throw new LexiconError(`invalid flags "${flags}", only i, m, s and u are allowed`, index);
+        }
+        let regex;
+        try {
+            regex = new RegExp(pattern, flags);
+        } catch (error) {
+            throw new LexiconError(`invalid regular expression: ${error.message}`, index);
+        }
+        if (regex.test('')) {
+            throw new LexiconError('regular expression must not match empty text', index);
+        }
+        return flags ? { type, pattern, replacement, flags } : { type, pattern, replacement };
+    });
+}
+
+/**
+ * Compile validated entries into regular expressions, in entry order
+ */
+export function compileLexicon(entries) {
+    return entries.map(({ type, pattern, replacement, flags = '' }) => {
+        if (type === 'regex') {
+            return { regex: new RegExp(pattern, `${flags}g`), replacement };
+        }
+        const escaped = pattern.trim().replace(REGEX_SPECIAL_PATTERN, '\\$&');
+        return {
+            regex: new RegExp(`${WORD_BOUNDARY_BEFORE}${escaped}${WORD_BOUNDARY_AFTER}`, type === 'word' ? 'giu' : 'gu'),
+            // Whole-word respellings are literal, so "$" in a replacement stays as typed
+            replacement: () => replacement
+        };
+    });
+}
+
+/**
+ * Apply compiled entries one after another; later entries see earlier respellings
+ */
+export function applyLexicon(text, compiled) {
+    for (const { regex, replacement } of compiled) {
+        text = text.replace(regex, replacement);
+    }
+    return text;
+}
+
+/**
+ * Source ranges the entries respell, as [start, end] pairs
+ */
+export function lexiconSpans(text, compiled) {
+    return compiled.flatMap(({ regex }) => [...text.matchAll(regex)].map(match => [match.index, match.index + match[0].length]));
+}
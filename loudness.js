@@ -0,0 +1,200 @@
+// Loudness: ITU-R BS.1770 / EBU R128 integrated loudness, true peak and a true-peak limiter
+
+const BLOCK_DURATION = 0.4;
+const BLOCK_STEP = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const OVERSAMPLING = 4;
+const INTERPOLATION_TAPS = 12;
+const LIMITER_LOOKAHEAD = 0.005;
+const LIMITER_RELEASE = 0.05;
+
+export const DEFAULT_TRUE_PEAK_CEILING = -1;
+
+function dbToGain(db) {
+    return 10 ** (db / 20);
+}
+
+function gainToDb(gain) {
+    return 20 * Math.log10(gain);
+}
+
+/**
+ * K-weighting (BS.1770 pre-filter and RLB high-pass) as two biquads for any
+ * sample rate; coefficients follow the analog prototypes the standard tabulates at 48 kHz
+ */
+function kWeightingFilters(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    return [shelf, highPass];
+}
+
+function biquad(samples, { b, a }) {
+    const out = new Float64Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+function blockLoudness(meanSquare) {
+    return -0.691 + 10 * Math.log10(meanSquare);
+}
+
+/**
+ * Integrated loudness in LUFS of mono audio: K-weighted 400 ms blocks with
+ * 75% overlap, gated at -70 LUFS and then 10 LU below the ungated level.
+ * Returns -Infinity for silence.
+ */
+export function measureLoudness(samples, sampleRate) {
+    const weighted = kWeightingFilters(sampleRate).reduce(biquad, samples);
+    const blockSize = Math.round(BLOCK_DURATION * sampleRate);
+    const step = Math.round(BLOCK_STEP * sampleRate);
+
+    // Audio shorter than one block is measured as a single block
+    const starts = [];
+    for (let start = 0; start + blockSize <= weighted.length; start += step) {
+        starts.push(start);
+    }
+    const blocks = (starts.length ? starts : [0]).map((start) => {
+        const end = Math.min(start + blockSize, weighted.length);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += weighted[i] * weighted[i];
+        }
+        return end > start ? sum / (end - start) : 0;
+    });
+
+    const gatedMean = (threshold) => {
+        const kept = blocks.filter(meanSquare => blockLoudness(meanSquare) > threshold);
+        return kept.length ? kept.reduce((sum, meanSquare) => sum + meanSquare, 0) / kept.length : 0;
+    };
+    const absoluteMean = gatedMean(ABSOLUTE_GATE);
+    if (absoluteMean === 0) {
+        return -Infinity;
+    }
+    const relativeMean = gatedMean(blockLoudness(absoluteMean) + RELATIVE_GATE);
+    return blockLoudness(relativeMean);
+}
+
+// Lanczos kernels for the in-between positions of 4x oversampling
+const INTERPOLATION_PHASES = Array.from({ length: OVERSAMPLING - 1 }, (_, p) => {
+    const offset = (p + 1) / OVERSAMPLING;
+    const half = INTERPOLATION_TAPS / 2;
+    const sinc = x => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+    return Array.from({ length: INTERPOLATION_TAPS }, (_, tap) => {
+        const x = offset - (tap - half + 1);
+        return sinc(x) * sinc(x / half);
+    });
+});
+
+/**
+ * Highest absolute value of each sample and the oversampled points that follow it,
+ * which catches inter-sample peaks a plain sample peak meter misses
+ */
+function samplePeaks(samples) {
+    const half = INTERPOLATION_TAPS / 2;
+    const peaks = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let peak = Math.abs(samples[i]);
+        for (const kernel of INTERPOLATION_PHASES) {
+            let value = 0;
+            for (let tap = 0; tap < INTERPOLATION_TAPS; tap++) {
+                const index = i + tap - half + 1;
+                if (index >= 0 && index < samples.length) {
+                    value += samples[index] * kernel[tap];
+                }
+            }
+            peak = Math.max(peak, Math.abs(value));
+        }
+        peaks[i] = peak;
+    }
+    return peaks;
+}
+
+/**
+ * True peak in dBTP (4x oversampled); -Infinity for silence
+ */
+export function measureTruePeak(samples) {
+    return gainToDb(samplePeaks(samples).reduce((max, peak) => Math.max(max, peak), 0));
+}
+
+/**
+ * Keep the true peak under ceiling dBTP. Gain drops ahead of each peak within
+ * the lookahead and recovers over the release time, so limiting does not click.
+ */
+export function limitTruePeak(samples, sampleRate, ceiling = DEFAULT_TRUE_PEAK_CEILING) {
+    const limit = dbToGain(ceiling);
+    const peaks = samplePeaks(samples);
+    const lookahead = Math.max(1, Math.round(LIMITER_LOOKAHEAD * sampleRate));
+    const attack = 1 / lookahead;
+    const release = 1 - Math.exp(-1 / (LIMITER_RELEASE * sampleRate));
+
+    const gain = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        gain[i] = peaks[i] > limit ? limit / peaks[i] : 1;
+    }
+    // Release: after a reduction, gain creeps back towards unity
+    for (let i = 1; i < gain.length; i++) {
+        gain[i] = Math.min(gain[i], gain[i - 1] + (1 - gain[i - 1]) * release);
+    }
+    // Attack: gain ramps down across the lookahead before a reduction
+    for (let i = gain.length - 2; i >= 0; i--) {
+        gain[i] = Math.min(gain[i], gain[i + 1] + attack);
+    }
+
+    const out = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        // Interpolated peaks between reduced samples can still graze the ceiling; clamp the sample peaks
+        out[i] = Math.max(-limit, Math.min(limit, samples[i] * gain[i]));
+    }
+    return out;
+}
+
+/**
+ * Measure loudness and, when target (LUFS) is given, apply gain to reach it
+ * and limit the true peak to ceiling dBTP. Reports the levels before and after.
+ */
+export function normalizeLoudness(samples, sampleRate, target = null, ceiling = DEFAULT_TRUE_PEAK_CEILING) {
+    const inputLoudness = measureLoudness(samples, sampleRate);
+    if (target === null || !Number.isFinite(inputLoudness)) {
+        return { samples, inputLoudness, loudness: inputLoudness, truePeak: measureTruePeak(samples), gain: 0 };
+    }
+
+    const gain = target - inputLoudness;
+    const linearGain = dbToGain(gain);
+    const amplified = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        amplified[i] = samples[i] * linearGain;
+    }
+    const limited = limitTruePeak(amplified, sampleRate, ceiling);
+    return {
+        samples: limited,
+        inputLoudness,
+        loudness: measureLoudness(limited, sampleRate),
+        truePeak: measureTruePeak(limited),
+        gain
+    };
+}
@@ -1,20 +1,72 @@
 import {
+    GenerationCancelledError,
+    blendVoiceStyles,
     loadTextToSpeech,
     loadVoiceStyle,
+    parseDialogueScript,
+    validateVoiceStyle,
+    voiceStyleFromJSON,
     writeWavFile
 } from './helper.js';
+import { EXPORT_FORMATS, encodeAudio } from './encoders.js';
+import { Supertonic } from './supertonic.js';
+import { clearModelCache, getModelStorageUsage } from './modelStore.js';
+import {
+    addHistoryEntry,
+    clearHistory,
+    deleteHistoryEntry,
+    estimateStorage,
+    getHistoryAudio,
+    listHistoryEntries
+} from './history.js';
+import { DEFAULT_PAUSES, resolvePauses } from './joins.js';
+import { getLanguageName, resolveLanguage } from './languages.js';
+import { normalizeLoudness } from './loudness.js';
+import { LEXICON_VERSION, validateLexicon } from './lexicon.js';
+import { parseSsml } from './ssml.js';
+import { SUBTITLE_FORMATS, formatSubtitles } from './subtitles.js';
 
 // Configuration
 const DEFAULT_VOICE_STYLE_PATH = 'assets/voice_styles/M1.json';
+const DEFAULT_WEBGPU_BATCH_SIZE = 4;
+const CUSTOM_STYLES_STORAGE_KEY = 'supertonic.customStyles';
+const LEXICON_STORAGE_KEY = 'supertonic.lexicon';
+const EXPORT_FORMAT_STORAGE_KEY = 'supertonic.exportFormat';
+const PAUSES_STORAGE_KEY = 'supertonic.pauses';
+const PERSIST_CACHE_STORAGE_KEY = 'supertonic.persistCache';
+const PAUSE_LABELS = { comma: 'Comma', sentence: 'Sentence', ellipsis: 'Ellipsis, dash', paragraph: 'Paragraph' };
+const BLEND_PREVIEW_TEXT = 'Hello! This is a short preview of the blended voice.';
 const USE_WORKER = true; // Enable web worker for better performance
 
-// Track previous audio URL for cleanup
-let previousAudioUrl = null;
+// Sentences ending in full-width punctuation are joined without a space in the read-along text
+const CJK_SENTENCE_END_PATTERN = /[。！？]$/;
+
+// Backend label shown in the header badge, recorded with each history entry
+let activeBackend = null;
+
+// Audio URLs of the results currently on screen, newest first
+const MAX_RESULTS = 10;
+let resultAudioUrls = [];
+// Samples, caption timeline and download name of those results, keyed by audio URL
+const resultDownloads = new Map();
+
+// Streaming playback state
+let playbackContext = null;
+let playbackCursor = 0;
+let playbackSources = [];
+
+// Worker client
+let ttsClient = null;
+
+// In-flight generation, so the Stop button knows what to cancel
+let activeGenerationId = null;
+let activeAbortController = null;
+
+// Last take with an empty seed field: an edited text keeps its seed so unchanged sentences hit the cache
+let lastRandomTake = null;
 
-// Worker instance
-let ttsWorker = null;
-let workerMessageId = 0;
-let workerCallbacks = new Map();
+// Generate requests the worker has accepted but not finished, keyed by request id
+const queuedJobs = new Map();
 
 // Debounce utility
 function debounce(fn, ms) {
@@ -30,6 +82,11 @@ function getFilenameFromPath(path) {
     return path.split('/').pop();
 }
 
+// Display name for a voice selector value: custom styles by name, presets by file name
+function getStyleName(stylePath) {
+    return customStyles.get(stylePath)?.name ?? getFilenameFromPath(stylePath);
+}
+
 // Global state (for non-worker mode)
 let textToSpeech = null;
 let cfgs = null;
@@ -38,13 +95,61 @@ let cfgs = null;
 let currentStyle = null;
 let currentStylePath = DEFAULT_VOICE_STYLE_PATH;
 
+// Blended and imported styles, keyed by their voice selector value ("blend:N" / "custom:N")
+const customStyles = new Map();
+const styleJsonCache = new Map();
+let customStyleCount = 0;
+let blendPreviewId = null;
+
+// Pronunciation lexicon rows as edited, including ones that are still incomplete
+let lexiconEntries = [];
+
+// Style tensor shapes reported by the loaded sessions, used to validate imports
+let expectedStyleShapes = null;
+
 // UI Elements
 const textInput = document.getElementById('text');
 const voiceStyleSelect = document.getElementById('voiceStyleSelect');
 const voiceStyleInfo = document.getElementById('voiceStyleInfo');
+const removeStyleBtn = document.getElementById('removeStyleBtn');
+const styleDropZone = document.getElementById('styleDropZone');
+const styleFileInput = document.getElementById('styleFileInput');
+const blendSliders = document.getElementById('blendSliders');
+const blendLivePreviewInput = document.getElementById('blendLivePreview');
+const blendPreviewBtn = document.getElementById('blendPreviewBtn');
+const blendSaveBtn = document.getElementById('blendSaveBtn');
+const blendExportBtn = document.getElementById('blendExportBtn');
 const totalStepInput = document.getElementById('totalStep');
 const speedInput = document.getElementById('speed');
+const batchSizeInput = document.getElementById('batchSize');
+const batchSizeValueEl = document.getElementById('batchSizeValue');
+const seedInput = document.getElementById('seedInput');
+const prioritySelect = document.getElementById('prioritySelect');
+const queuePanel = document.getElementById('queuePanel');
+const queueList = document.getElementById('queueList');
+const streamPlaybackInput = document.getElementById('streamPlayback');
+const persistCacheInput = document.getElementById('persistCache');
+const modelStorageInfo = document.getElementById('modelStorageInfo');
+const lexiconList = document.getElementById('lexiconList');
+const lexiconCount = document.getElementById('lexiconCount');
+const lexiconFileInput = document.getElementById('lexiconFileInput');
+const inputModeSelect = document.getElementById('inputMode');
+const exportFormatSelect = document.getElementById('exportFormat');
+const loudnessTargetSelect = document.getElementById('loudnessTarget');
+const inputModeHint = document.getElementById('inputModeHint');
+const languageSelect = document.getElementById('languageSelect');
+const turnGapGroup = document.getElementById('turnGapGroup');
+const turnGapInput = document.getElementById('turnGap');
+const pauseSliders = document.getElementById('pauseSliders');
+const historyList = document.getElementById('historyList');
+const historyUsage = document.getElementById('historyUsage');
+const historyPlayer = document.getElementById('historyPlayer');
 const generateBtn = document.getElementById('generateBtn');
+const textHighlights = document.getElementById('textHighlights');
+const textIssues = document.getElementById('textIssues');
+const normalizedPreview = document.getElementById('normalizedPreview');
+const normalizedPreviewText = document.getElementById('normalizedPreviewText');
+const stopBtn = document.getElementById('stopBtn');
 const statusBox = document.getElementById('statusBox');
 const statusText = document.getElementById('statusText');
 const backendBadge = document.getElementById('backendBadge');
@@ -76,7 +181,14 @@ function hideError() {
     errorBox.classList.remove('active');
 }
 
+// Batched inference pays off on WebGPU; WASM stays at one chunk at a time
+function setDefaultBatchSize(executionProvider) {
+    batchSizeInput.value = executionProvider === 'webgpu' ? DEFAULT_WEBGPU_BATCH_SIZE : 1;
+    batchSizeValueEl.textContent = batchSizeInput.value;
+}
+
 function updateBackendBadge(provider) {
+    activeBackend = provider;
     backendBadge.innerHTML = `<span class="badge-dot"></span>${provider}`;
     backendBadge.className = 'badge badge-success';
 }
@@ -98,58 +210,161 @@ function updateProgress(step, total, overallPercent) {
     progressPercent.textContent = `${percent}%`;
 }
 
-// Worker communication
-function initWorker() {
-    return new Promise((resolve, reject) => {
-        ttsWorker = new Worker(new URL('./tts.worker.js', import.meta.url), { type: 'module' });
+// Byte-level progress while the model files download (or load from the model cache)
+function showModelProgress(modelName, current, total, loaded, totalBytes, cached) {
+    if (cached) {
+        showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName} from cache...`);
+        return;
+    }
+    const size = totalBytes ? `${formatBytes(loaded)} of ${formatBytes(totalBytes)}` : formatBytes(loaded);
+    showStatus(`ℹ️ <strong>Downloading ONNX models (${current}/${total}):</strong> ${modelName} (${size})...`);
+    if (totalBytes) {
+        const percent = Math.round(loaded / totalBytes * 100);
+        showProgress();
+        progressFill.style.width = `${percent}%`;
+        progressStep.textContent = `Model ${current}/${total}`;
+        progressPercent.textContent = `${percent}%`;
+    }
+}
 
-        ttsWorker.onmessage = (e) => {
-            const { type, id, payload } = e.data;
+// Worker progress: model downloads, queue positions and denoising steps
+function handleWorkerProgress(id, payload) {
+    if (payload.stage === 'loading') {
+        showModelProgress(payload.modelName, payload.current, payload.total, payload.loaded, payload.totalBytes, payload.cached);
+    } else if (payload.stage === 'queued') {
+        const job = queuedJobs.get(id);
+        if (job) {
+            job.position = payload.position;
+            renderQueuePanel();
+        }
+    } else if (payload.stage === 'started') {
+        const job = queuedJobs.get(id);
+        if (job) {
+            job.position = 0;
+            renderQueuePanel();
+        }
+        activeGenerationId = id;
+        stopBtn.disabled = false;
+        updateProgress(0, 0, 0);
+        showProgress();
+        showStatus('ℹ️ <strong>Generating speech from text...</strong>');
+    } else if (payload.stage === 'denoising') {
+        const { step, total, chunkIndex, totalChunks, overallProgress, cachedChunks } = payload;
+        showStatus(`ℹ️ <strong>${progressMessage(step, total, chunkIndex, totalChunks, cachedChunks)}</strong>`);
+        updateProgress(step, total, overallProgress);
+    }
+}
 
-            if (type === 'progress') {
-                handleWorkerProgress(payload);
-                return;
-            }
+function progressMessage(step, total, chunkIndex, totalChunks, cachedChunks = 0) {
+    const cached = cachedChunks > 0 ? ` (${cachedChunks} cached)` : '';
+    if (step === 0) {
+        return `Reused ${cachedChunks}/${totalChunks} chunks from the cache...`;
+    }
+    if (totalChunks > 1) {
+        return `Processing chunk ${chunkIndex}/${totalChunks}${cached} - Denoising (${step}/${total})...`;
+    }
+    return `Denoising (${step}/${total})...`;
+}
 
-            const callback = workerCallbacks.get(id);
-            if (callback) {
-                if (type === 'error') {
-                    callback.reject(new Error(payload.message));
-                } else {
-                    callback.resolve({ type, payload });
-                }
-                workerCallbacks.delete(id);
-            }
-        };
+// Queue panel: the running job first, then pending jobs in worker order
+function renderQueuePanel() {
+    const jobs = [...queuedJobs.entries()].sort(([, a], [, b]) => a.position - b.position);
+    queuePanel.classList.toggle('hidden', jobs.length === 0);
+    queueList.replaceChildren(...jobs.map(([id, job]) => {
+        const item = document.createElement('li');
+        item.className = job.position === 0 ? 'queue-item running' : 'queue-item';
+
+        const position = document.createElement('span');
+        position.className = 'queue-position';
+        position.textContent = job.position === 0 ? '▶' : `#${job.position}`;
+
+        const details = document.createElement('div');
+        details.className = 'queue-details';
+        const preview = document.createElement('div');
+        preview.className = 'queue-text';
+        preview.textContent = job.text;
+        const meta = document.createElement('small');
+        meta.className = 'text-muted';
+        meta.textContent = `${job.voice} · ${job.totalStep} steps · ${job.speed}x${job.priority > 0 ? ' · high priority' : job.priority < 0 ? ' · low priority' : ''}`;
+        details.append(preview, meta);
+
+        const cancel = document.createElement('button');
+        cancel.className = 'queue-cancel';
+        cancel.type = 'button';
+        cancel.title = 'Remove from queue';
+        cancel.textContent = '✕';
+        cancel.addEventListener('click', () => {
+            cancel.disabled = true;
+            ttsClient.cancel(id);
+        });
+
+        item.append(position, details, cancel);
+        return item;
+    }));
+}
 
-        ttsWorker.onerror = (error) => {
-            console.error('Worker error:', error);
-            reject(error);
-        };
+// Stop the in-flight generation; its pending promise rejects with GenerationCancelledError
+async function cancelGeneration() {
+    stopBtn.disabled = true;
+    showStatus('ℹ️ <strong>Stopping...</strong>');
+    stopStreamingPlayback();
 
-        resolve();
-    });
+    if (activeAbortController) {
+        activeAbortController.abort();
+    } else if (activeGenerationId !== null) {
+        await ttsClient.cancel(activeGenerationId);
+    }
 }
 
-function handleWorkerProgress(payload) {
-    if (payload.stage === 'loading') {
-        showStatus(`ℹ️ <strong>Loading ONNX models (${payload.current}/${payload.total}):</strong> ${payload.modelName}...`);
-    } else if (payload.stage === 'denoising') {
-        const { step, total, chunkIndex, totalChunks, overallProgress } = payload;
-        if (totalChunks > 1) {
-            showStatus(`ℹ️ <strong>Processing chunk ${chunkIndex}/${totalChunks} - Denoising (${step}/${total})...</strong>`);
-        } else {
-            showStatus(`ℹ️ <strong>Denoising (${step}/${total})...</strong>`);
+// Streaming playback: schedule chunks back to back on a Web Audio timeline
+async function startStreamingPlayback() {
+    if (!playbackContext) {
+        playbackContext = new AudioContext();
+    }
+    // Resume while still inside the click handler so autoplay policies allow it
+    await playbackContext.resume();
+}
+
+function stopStreamingPlayback() {
+    for (const source of playbackSources) {
+        try {
+            source.stop();
+        } catch (e) {
+            // Source may not have started yet
         }
-        updateProgress(step, total, overallProgress);
     }
+    playbackSources = [];
+    // The next stream starts now, not after the end of the cancelled schedule
+    playbackCursor = 0;
+}
+
+function queueStreamingChunk({ pcm, sampleRate, leadingSilence }) {
+    if (!playbackContext || pcm.length === 0) return;
+
+    const buffer = playbackContext.createBuffer(1, pcm.length, sampleRate);
+    buffer.copyToChannel(pcm, 0);
+
+    const source = playbackContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(playbackContext.destination);
+
+    // Never schedule in the past: if synthesis fell behind, start right away
+    const startAt = Math.max(playbackCursor + leadingSilence, playbackContext.currentTime + 0.05);
+    source.start(startAt);
+    playbackCursor = startAt + buffer.duration;
+
+    source.onended = () => {
+        playbackSources = playbackSources.filter(s => s !== source);
+    };
+    playbackSources.push(source);
 }
 
-function sendWorkerMessage(type, payload) {
-    return new Promise((resolve, reject) => {
-        const id = ++workerMessageId;
-        workerCallbacks.set(id, { resolve, reject });
-        ttsWorker.postMessage({ type, payload, id });
+// Chunk callback for the main-thread engine, same shape as the worker's chunk messages
+function streamEngineChunk(chunkWav, chunkDuration, chunkIndex, totalChunks, leadingSilence) {
+    queueStreamingChunk({
+        pcm: new Float32Array(chunkWav),
+        sampleRate: textToSpeech.sampleRate,
+        leadingSilence
     });
 }
 
@@ -164,6 +379,32 @@ async function loadStyleFromJSON(stylePath) {
     }
 }
 
+// Make a voice selector value the active style, in the worker or on the main thread
+async function applyStyle(stylePath) {
+    const custom = customStyles.get(stylePath);
+    if (USE_WORKER && ttsClient) {
+        await ttsClient.loadVoice(custom ? custom.voiceStyle : stylePath, stylePath);
+    } else {
+        currentStyle = custom ? voiceStyleFromJSON([custom.voiceStyle], true) : await loadStyleFromJSON(stylePath);
+    }
+}
+
+// Raw style JSON for a voice selector value, fetched once per preset
+async function fetchStyleJson(stylePath) {
+    const custom = customStyles.get(stylePath);
+    if (custom) {
+        return custom.voiceStyle;
+    }
+    if (!styleJsonCache.has(stylePath)) {
+        const response = await fetch(stylePath);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${stylePath} (${response.status})`);
+        }
+        styleJsonCache.set(stylePath, await response.json());
+    }
+    return styleJsonCache.get(stylePath);
+}
+
 // Load models on page load
 async function initializeModels() {
     try {
@@ -172,43 +413,21 @@ async function initializeModels() {
         const basePath = 'assets/onnx';
 
         if (USE_WORKER) {
-            // Initialize with Web Worker
-            await initWorker();
-
-            // Try WebGPU first, fallback to WASM
-            let executionProvider = 'wasm';
-            try {
-                const result = await sendWorkerMessage('init', {
-                    basePath,
-                    sessionOptions: {
-                        executionProviders: ['webgpu'],
-                        graphOptimizationLevel: 'all'
-                    }
-                });
-
-                executionProvider = result.payload.executionProvider;
-                updateBackendBadge('WebGPU + Worker');
-            } catch (webgpuError) {
-                console.log('WebGPU not available, falling back to WebAssembly');
-
-                const result = await sendWorkerMessage('init', {
-                    basePath,
-                    sessionOptions: {
-                        executionProviders: ['wasm'],
-                        graphOptimizationLevel: 'all'
-                    }
-                });
-
-                executionProvider = result.payload.executionProvider;
-                updateBackendBadge('WASM + Worker');
-            }
+            // Initialize with Web Worker, trying WebGPU first and falling back to WASM
+            ttsClient = new Supertonic();
+            ttsClient.addEventListener('progress', event => handleWorkerProgress(event.detail.id, event.detail));
+            const { executionProvider } = await ttsClient.init({ basePath });
+            expectedStyleShapes = ttsClient.styleShapes;
+            updateBackendBadge(executionProvider === 'webgpu' ? 'WebGPU + Worker' : 'WASM + Worker');
 
             showStatus('ℹ️ <strong>Loading default voice style...</strong>');
 
             // Load default voice style in worker
-            await sendWorkerMessage('loadStyle', { stylePath: currentStylePath });
+            await ttsClient.loadVoice(currentStylePath);
             voiceStyleInfo.textContent = `${getFilenameFromPath(currentStylePath)} (default)`;
 
+            hideProgress();
+            setDefaultBatchSize(executionProvider);
             showStatus(`✅ <strong>Models loaded!</strong> Using ${executionProvider.toUpperCase()} with Web Worker. You can now generate speech.`, 'success');
         } else {
             // Non-worker mode (fallback)
@@ -217,12 +436,11 @@ async function initializeModels() {
                 const result = await loadTextToSpeech(basePath, {
                     executionProviders: ['webgpu'],
                     graphOptimizationLevel: 'all'
-                }, (modelName, current, total) => {
-                    showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName}...`);
-                });
+                }, showModelProgress);
 
                 textToSpeech = result.textToSpeech;
                 cfgs = result.cfgs;
+                expectedStyleShapes = textToSpeech.getStyleShapes();
 
                 executionProvider = 'webgpu';
                 updateBackendBadge('WebGPU');
@@ -232,12 +450,11 @@ async function initializeModels() {
                 const result = await loadTextToSpeech(basePath, {
                     executionProviders: ['wasm'],
                     graphOptimizationLevel: 'all'
-                }, (modelName, current, total) => {
-                    showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName}...`);
-                });
+                }, showModelProgress);
 
                 textToSpeech = result.textToSpeech;
                 cfgs = result.cfgs;
+                expectedStyleShapes = textToSpeech.getStyleShapes();
                 updateBackendBadge('WASM');
             }
 
@@ -247,9 +464,13 @@ async function initializeModels() {
             currentStyle = await loadStyleFromJSON(currentStylePath);
             voiceStyleInfo.textContent = `${getFilenameFromPath(currentStylePath)} (default)`;
 
+            hideProgress();
+            setDefaultBatchSize(executionProvider);
             showStatus(`✅ <strong>Models loaded!</strong> Using ${executionProvider.toUpperCase()}. You can now generate speech.`, 'success');
         }
 
+        renderModelStorage();
+        await syncLexicon();
         generateBtn.disabled = false;
 
     } catch (error) {
@@ -270,15 +491,12 @@ voiceStyleSelect.addEventListener('change', async (e) => {
 
         currentStylePath = selectedValue;
 
-        if (USE_WORKER && ttsWorker) {
-            await sendWorkerMessage('loadStyle', { stylePath: currentStylePath });
-        } else {
-            currentStyle = await loadStyleFromJSON(currentStylePath);
-        }
+        await applyStyle(currentStylePath);
 
-        voiceStyleInfo.textContent = getFilenameFromPath(currentStylePath);
+        voiceStyleInfo.textContent = getStyleName(currentStylePath);
+        removeStyleBtn.classList.toggle('hidden', !customStyles.has(currentStylePath));
 
-        showStatus(`✅ <strong>Voice style loaded:</strong> ${getFilenameFromPath(currentStylePath)}`, 'success');
+        showStatus(`✅ <strong>Voice style loaded:</strong> ${getStyleName(currentStylePath)}`, 'success');
         generateBtn.disabled = false;
     } catch (error) {
         showError(`Error loading voice style: ${error.message}`);
@@ -286,9 +504,10 @@ voiceStyleSelect.addEventListener('change', async (e) => {
         // Restore default style
         currentStylePath = DEFAULT_VOICE_STYLE_PATH;
         voiceStyleSelect.value = currentStylePath;
+        removeStyleBtn.classList.add('hidden');
         try {
-            if (USE_WORKER && ttsWorker) {
-                await sendWorkerMessage('loadStyle', { stylePath: currentStylePath });
+            if (USE_WORKER && ttsClient) {
+                await ttsClient.loadVoice(currentStylePath);
             } else {
                 currentStyle = await loadStyleFromJSON(currentStylePath);
             }
@@ -301,6 +520,563 @@ voiceStyleSelect.addEventListener('change', async (e) => {
     }
 });
 
+// Voice blending: one weight slider per voice in the selector
+function renderBlendSliders() {
+    const previousWeights = new Map(
+        [...blendSliders.querySelectorAll('input')].map(input => [input.dataset.stylePath, input.value])
+    );
+
+    blendSliders.replaceChildren(...[...voiceStyleSelect.options].map(option => {
+        const row = document.createElement('div');
+        row.className = 'range-control blend-row';
+
+        const label = document.createElement('span');
+        label.className = 'blend-label';
+        label.textContent = getStyleName(option.value).replace(/\.json$/, '');
+        label.title = option.textContent;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'slider';
+        input.min = '0';
+        input.max = '100';
+        input.step = '5';
+        input.value = previousWeights.get(option.value) ?? '0';
+        input.dataset.stylePath = option.value;
+
+        const value = document.createElement('span');
+        value.className = 'range-value';
+        value.textContent = `${input.value}%`;
+
+        input.addEventListener('input', () => {
+            value.textContent = `${input.value}%`;
+            if (blendLivePreviewInput.checked) {
+                debouncedBlendPreview();
+            }
+        });
+
+        row.append(label, input, value);
+        return row;
+    }));
+}
+
+// Blend the voices with a non-zero weight; the name reads like "70% F1 + 30% M2"
+async function buildBlend() {
+    const selection = [...blendSliders.querySelectorAll('input')]
+        .map(input => ({ stylePath: input.dataset.stylePath, weight: parseInt(input.value) }))
+        .filter(({ weight }) => weight > 0);
+
+    if (selection.length === 0) {
+        throw new Error('Set at least one blend weight above 0%.');
+    }
+
+    const totalWeight = selection.reduce((sum, { weight }) => sum + weight, 0);
+    const voiceStyles = await Promise.all(selection.map(({ stylePath }) => fetchStyleJson(stylePath)));
+    const voiceStyle = blendVoiceStyles(voiceStyles, selection.map(({ weight }) => weight));
+    const parts = selection.map(({ stylePath, weight }) => ({
+        name: getStyleName(stylePath).replace(/\.json$/, ''),
+        percent: Math.round(weight / totalWeight * 100)
+    }));
+
+    return {
+        name: parts.map(({ name, percent }) => `${percent}% ${name}`).join(' + '),
+        fileName: `blend_${parts.map(({ name, percent }) => `${name}-${percent}`).join('_')}.json`,
+        voiceStyle
+    };
+}
+
+async function previewBlend() {
+    try {
+        const { voiceStyle } = await buildBlend();
+        const totalStep = parseInt(totalStepInput.value);
+        const speed = parseFloat(speedInput.value);
+
+        hideError();
+        stopStreamingPlayback();
+        await startStreamingPlayback();
+
+        if (USE_WORKER && ttsClient) {
+            // Only the latest preview matters: drop the one still queued or running
+            if (blendPreviewId !== null) {
+                ttsClient.cancel(blendPreviewId);
+            }
+
+            // Priority 2 runs the preview ahead of regular queued jobs
+            const request = ttsClient.generate(BLEND_PREVIEW_TEXT, {
+                steps: totalStep,
+                speed,
+                pauses: currentPauses(),
+                stream: true,
+                priority: 2,
+                voice: voiceStyle,
+                voiceName: 'blend preview',
+                onChunk: queueStreamingChunk
+            });
+            blendPreviewId = request.id;
+
+            try {
+                await request.promise;
+            } finally {
+                if (blendPreviewId === request.id) {
+                    blendPreviewId = null;
+                }
+            }
+        } else {
+            await textToSpeech.call(
+                BLEND_PREVIEW_TEXT,
+                voiceStyleFromJSON([voiceStyle]),
+                totalStep,
+                speed,
+                currentPauses(),
+                null,
+                streamEngineChunk
+            );
+        }
+
+        if (queuedJobs.size === 0) {
+            hideProgress();
+            showStatus('✅ <strong>Blend preview ready.</strong>', 'success');
+        }
+    } catch (error) {
+        if (!(error instanceof GenerationCancelledError)) {
+            showError(`Error previewing blend: ${error.message}`);
+        }
+    }
+}
+
+const debouncedBlendPreview = debounce(previewBlend, 600);
+
+// Add the blend to the voice selector and switch to it
+async function saveBlend() {
+    try {
+        const { name, voiceStyle } = await buildBlend();
+        selectStyle(addCustomStyle(`blend:${++customStyleCount}`, name, `Blend: ${name}`, voiceStyle));
+    } catch (error) {
+        showError(`Error saving blend: ${error.message}`);
+    }
+}
+
+// Download the blend in the preset JSON schema so it can be loaded like any other style
+async function exportBlend() {
+    try {
+        const { fileName, voiceStyle } = await buildBlend();
+        const blob = new Blob([JSON.stringify(voiceStyle)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        window.downloadAudio(url, fileName);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        showError(`Error exporting blend: ${error.message}`);
+    }
+}
+
+// Custom styles: blends and imported files join the voice selector and persist in localStorage
+function addCustomStyle(stylePath, name, label, voiceStyle, persist = true) {
+    customStyles.set(stylePath, { name, label, voiceStyle });
+    voiceStyleSelect.add(new Option(label, stylePath));
+    if (persist) {
+        persistCustomStyles();
+    }
+    renderBlendSliders();
+    return stylePath;
+}
+
+function selectStyle(stylePath) {
+    voiceStyleSelect.value = stylePath;
+    voiceStyleSelect.dispatchEvent(new Event('change'));
+}
+
+function persistCustomStyles() {
+    const entries = [...customStyles].map(([stylePath, { name, label, voiceStyle }]) => ({ stylePath, name, label, voiceStyle }));
+    try {
+        localStorage.setItem(CUSTOM_STYLES_STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+        showError(`Could not save custom voices for the next visit: ${error.message}`);
+    }
+}
+
+function restoreCustomStyles() {
+    let entries = [];
+    try {
+        entries = JSON.parse(localStorage.getItem(CUSTOM_STYLES_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Ignoring unreadable custom voices:', error);
+    }
+
+    for (const { stylePath, name, label, voiceStyle } of entries) {
+        try {
+            validateVoiceStyle(voiceStyle);
+        } catch (error) {
+            console.error(`Skipping stored voice ${name}:`, error);
+            continue;
+        }
+        addCustomStyle(stylePath, name, label, voiceStyle, false);
+        customStyleCount = Math.max(customStyleCount, parseInt(stylePath.split(':')[1]) || 0);
+    }
+}
+
+// Import local style JSON files, checked against the shapes the loaded sessions expect
+async function importStyleFiles(files) {
+    hideError();
+    let lastImported = null;
+
+    for (const file of files) {
+        try {
+            let voiceStyle;
+            try {
+                voiceStyle = JSON.parse(await file.text());
+            } catch (parseError) {
+                throw new Error(`not valid JSON (${parseError.message})`);
+            }
+            validateVoiceStyle(voiceStyle, expectedStyleShapes);
+
+            const name = file.name.replace(/\.json$/i, '');
+            lastImported = addCustomStyle(`custom:${++customStyleCount}`, name, `Custom: ${name}`, voiceStyle);
+        } catch (error) {
+            showError(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    if (lastImported) {
+        selectStyle(lastImported);
+    }
+}
+
+function removeSelectedStyle() {
+    const stylePath = voiceStyleSelect.value;
+    if (!customStyles.has(stylePath)) return;
+
+    customStyles.delete(stylePath);
+    voiceStyleSelect.querySelector(`option[value="${CSS.escape(stylePath)}"]`).remove();
+    persistCustomStyles();
+    renderBlendSliders();
+    selectStyle(DEFAULT_VOICE_STYLE_PATH);
+}
+
+// Pronunciation lexicon: respellings applied before indexing, in the worker or the main-thread engine
+const LEXICON_TYPE_LABELS = { word: 'Word', case: 'Match case', regex: 'Regex' };
+
+function renderLexicon() {
+    lexiconList.replaceChildren(...lexiconEntries.map((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'lexicon-row';
+
+        const type = document.createElement('select');
+        for (const [value, label] of Object.entries(LEXICON_TYPE_LABELS)) {
+            type.add(new Option(label, value, false, value === entry.type));
+        }
+        type.addEventListener('change', () => {
+            entry.type = type.value;
+            debouncedSyncLexicon();
+        });
+
+        const [pattern, replacement] = ['pattern', 'replacement'].map((field) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'text-input';
+            input.placeholder = field === 'pattern' ? 'Word or pattern' : 'Say it as';
+            input.value = entry[field];
+            input.addEventListener('input', () => {
+                entry[field] = input.value;
+                debouncedSyncLexicon();
+            });
+            return input;
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'lexicon-remove';
+        remove.title = 'Remove entry';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            lexiconEntries.splice(index, 1);
+            renderLexicon();
+            syncLexicon();
+        });
+
+        row.append(type, pattern, replacement, remove);
+        return row;
+    }));
+}
+
+// Entries ready for the engine; incomplete rows are skipped and invalid ones are marked
+function activeLexiconEntries() {
+    return lexiconEntries.filter((entry, index) => {
+        const row = lexiconList.children[index];
+        let reason = '';
+        if (entry.pattern.trim()) {
+            try {
+                validateLexicon([entry]);
+            } catch (error) {
+                reason = error.reason;
+            }
+        }
+        row?.classList.toggle('invalid', reason !== '');
+        if (row) {
+            row.title = reason;
+        }
+        return entry.pattern.trim() && !reason;
+    });
+}
+
+async function syncLexicon() {
+    const entries = activeLexiconEntries();
+    lexiconCount.textContent = entries.length > 0 ? `(${entries.length})` : '';
+    persistLexicon();
+
+    // Before the models load there is no engine yet; initializeModels syncs once they are ready
+    if (!expectedStyleShapes) return;
+
+    try {
+        if (USE_WORKER && ttsClient) {
+            await ttsClient.setLexicon(entries);
+        } else if (textToSpeech) {
+            textToSpeech.textProcessor.setLexicon(entries);
+        }
+    } catch (error) {
+        showError(`Error applying pronunciation lexicon: ${error.message}`);
+    }
+    analyzeText();
+}
+
+const debouncedSyncLexicon = debounce(syncLexicon, 300);
+
+function persistLexicon() {
+    try {
+        localStorage.setItem(LEXICON_STORAGE_KEY, JSON.stringify(lexiconEntries));
+    } catch (error) {
+        showError(`Could not save the pronunciation lexicon for the next visit: ${error.message}`);
+    }
+}
+
+function restoreLexicon() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LEXICON_STORAGE_KEY)) || [];
+        lexiconEntries = stored
+            .filter(entry => entry && typeof entry === 'object')
+            .map(({ type = 'word', pattern = '', replacement = '', flags }) => ({ type, pattern, replacement, ...(flags && { flags }) }));
+    } catch (error) {
+        console.error('Ignoring unreadable pronunciation lexicon:', error);
+    }
+    renderLexicon();
+    syncLexicon();
+}
+
+// Imported entries replace existing ones with the same type and pattern
+async function importLexiconFile(file) {
+    hideError();
+    try {
+        let lexicon;
+        try {
+            lexicon = JSON.parse(await file.text());
+        } catch (parseError) {
+            throw new Error(`not valid JSON (${parseError.message})`);
+        }
+
+        for (const entry of validateLexicon(lexicon)) {
+            const existing = lexiconEntries.findIndex(({ type, pattern }) => type === entry.type && pattern === entry.pattern);
+            if (existing !== -1) {
+                lexiconEntries[existing] = entry;
+            } else {
+                lexiconEntries.push(entry);
+            }
+        }
+        renderLexicon();
+        await syncLexicon();
+    } catch (error) {
+        showError(`Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+function exportLexicon() {
+    const lexicon = { version: LEXICON_VERSION, entries: activeLexiconEntries() };
+    const blob = new Blob([JSON.stringify(lexicon, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    window.downloadAudio(url, 'supertonic-lexicon.json');
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Pause settings: seconds of silence after a chunk, by how the chunk ends
+function renderPauseSliders(pauses) {
+    pauseSliders.replaceChildren(...Object.entries(PAUSE_LABELS).map(([boundary, labelText]) => {
+        const row = document.createElement('div');
+        row.className = 'range-control';
+
+        const label = document.createElement('span');
+        label.className = 'pause-label';
+        label.textContent = labelText;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'slider';
+        input.min = '0';
+        input.max = '1.5';
+        input.step = '0.05';
+        input.value = pauses[boundary];
+        input.dataset.boundary = boundary;
+
+        const value = document.createElement('span');
+        value.className = 'range-value';
+        value.textContent = `${input.value}s`;
+
+        input.addEventListener('input', () => {
+            value.textContent = `${input.value}s`;
+            localStorage.setItem(PAUSES_STORAGE_KEY, JSON.stringify(currentPauses()));
+        });
+
+        row.append(label, input, value);
+        return row;
+    }));
+}
+
+function currentPauses() {
+    return Object.fromEntries(
+        [...pauseSliders.querySelectorAll('input')].map(input => [input.dataset.boundary, parseFloat(input.value)])
+    );
+}
+
+function restorePauses() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(PAUSES_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring stored pause settings:', error);
+    }
+    renderPauseSliders(resolvePauses(stored || DEFAULT_PAUSES));
+}
+
+// Dialogue speakers and SSML <voice> names are voice names from the selector (M1, F2, or a custom voice's name)
+function findVoiceStylePath(voiceName, kind = 'speaker') {
+    const names = [];
+    for (const option of voiceStyleSelect.options) {
+        const name = getStyleName(option.value).replace(/\.json$/, '');
+        if (name.toLowerCase() === voiceName.toLowerCase()) {
+            return option.value;
+        }
+        names.push(name);
+    }
+    throw new Error(`Unknown ${kind} "${voiceName}". Available voices: ${names.join(', ')}`);
+}
+
+async function prepareDialogue(script) {
+    const turns = parseDialogueScript(script);
+    const speakers = [...new Set(turns.map(({ speaker }) => speaker))];
+    const voices = {};
+    for (const speaker of speakers) {
+        voices[speaker] = await fetchStyleJson(findVoiceStylePath(speaker));
+    }
+    return { turns, voices, speakers };
+}
+
+async function prepareSsml(markup, speed, pauses) {
+    const segments = parseSsml(markup, { speed, sentencePause: pauses.sentence, paragraphPause: pauses.paragraph });
+    const names = [...new Set(segments.filter(({ voice }) => voice).map(({ voice }) => voice))];
+    const voices = {};
+    for (const name of names) {
+        voices[name] = await fetchStyleJson(findVoiceStylePath(name, 'voice'));
+    }
+    return { segments, voices, names };
+}
+
+// Pre-flight analysis: highlight characters that are dropped or unknown to the model before generating
+let analysisRequestId = 0;
+
+async function analyzeText() {
+    const text = textInput.value;
+    const requestId = ++analysisRequestId;
+    if (!expectedStyleShapes || !text.trim()) {
+        renderTextIssues(text, []);
+        return;
+    }
+
+    // SSML tags are markup, not speech; blank them out so offsets still line up
+    const speech = inputModeSelect.value === 'ssml' ? text.replace(/<[^>]*>/g, tag => ' '.repeat(tag.length)) : text;
+    try {
+        const issues = USE_WORKER
+            ? await ttsClient.analyzeText(speech, languageSelect.value)
+            : textToSpeech.textProcessor.analyze(speech, languageSelect.value);
+        // Skip results that a newer edit has already superseded
+        if (requestId === analysisRequestId) {
+            renderTextIssues(text, issues);
+        }
+    } catch (error) {
+        console.error('Text analysis failed:', error);
+    }
+}
+
+const debouncedAnalyzeText = debounce(analyzeText, 300);
+
+function renderTextIssues(text, issues) {
+    const fragments = [];
+    let cursor = 0;
+    for (const issue of issues) {
+        fragments.push(text.slice(cursor, issue.start));
+        const mark = document.createElement('mark');
+        mark.className = issue.rule;
+        mark.textContent = text.slice(issue.start, issue.end);
+        fragments.push(mark);
+        cursor = issue.end;
+    }
+    // The extra newline keeps a trailing empty line the same height as in the textarea
+    fragments.push(`${text.slice(cursor)}\n`);
+    textHighlights.replaceChildren(...fragments);
+    textHighlights.scrollTop = textInput.scrollTop;
+
+    // One line per rule, listing the characters it affects
+    const groups = new Map();
+    for (const { rule, message, text: chars } of issues) {
+        const group = groups.get(rule) || { message, chars: new Set() };
+        group.chars.add(chars);
+        groups.set(rule, group);
+    }
+    textIssues.classList.toggle('hidden', groups.size === 0);
+    textIssues.replaceChildren(...[...groups].map(([rule, { message, chars }]) => {
+        const item = document.createElement('li');
+        item.className = rule;
+        item.append(`${message}: `, ...[...chars].map((char) => {
+            const code = document.createElement('code');
+            code.textContent = char;
+            return code;
+        }));
+        return item;
+    }));
+}
+
+// Preview what the engine will speak: lexicon respellings and normalized numbers, dates and units
+async function normalizeWithEngine(text) {
+    if (USE_WORKER) {
+        return ttsClient.normalizeText(text, languageSelect.value);
+    }
+    return textToSpeech.textProcessor.normalize(text, resolveLanguage(languageSelect.value, text));
+}
+
+async function previewNormalizedText() {
+    const text = textInput.value.trim();
+    if (!text) {
+        showError('Please enter some text to preview.');
+        return;
+    }
+    if (!expectedStyleShapes) {
+        showError('Models are still loading. Please wait.');
+        return;
+    }
+
+    try {
+        hideError();
+        let lines;
+        if (inputModeSelect.value === 'script') {
+            lines = await Promise.all(parseDialogueScript(text).map(async ({ speaker, text: turnText }) => `${speaker}: ${await normalizeWithEngine(turnText)}`));
+        } else if (inputModeSelect.value === 'ssml') {
+            lines = await Promise.all(parseSsml(text).filter(segment => segment.text).map(segment => normalizeWithEngine(segment.text)));
+        } else {
+            lines = [await normalizeWithEngine(text)];
+        }
+        normalizedPreviewText.textContent = lines.join('\n');
+        normalizedPreview.classList.remove('hidden');
+    } catch (error) {
+        showError(`Could not preview text: ${error.message}`);
+    }
+}
+
 // Main synthesis function
 async function generateSpeech() {
     const text = textInput.value.trim();
@@ -310,7 +1086,7 @@ async function generateSpeech() {
     }
 
     if (USE_WORKER) {
-        if (!ttsWorker) {
+        if (!ttsClient) {
             showError('Worker is still loading. Please wait.');
             return;
         }
@@ -326,86 +1102,226 @@ async function generateSpeech() {
         }
     }
 
+    // Empty seed field means a fresh random take, except that an edited text reuses the
+    // previous take's seed; regenerating the same text still gives a new take
+    const seedValue = seedInput.value.trim();
+    const randomSeed = seedValue === '';
+    const seed = randomSeed
+        ? (lastRandomTake && lastRandomTake.text !== text ? lastRandomTake.seed : null)
+        : Number(seedValue);
+    if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF)) {
+        showError('Seed must be a whole number between 0 and 4294967295.');
+        return;
+    }
+
     const startTime = Date.now();
+    const stream = streamPlaybackInput.checked;
+    const persistCache = persistCacheInput.checked;
+    const totalStep = parseInt(totalStepInput.value);
+    const speed = parseFloat(speedInput.value);
+    const pauses = currentPauses();
+
+    let dialogue = null;
+    let ssml = null;
+    try {
+        if (inputModeSelect.value === 'script') {
+            dialogue = await prepareDialogue(text);
+        } else if (inputModeSelect.value === 'ssml') {
+            ssml = await prepareSsml(text, speed, pauses);
+        }
+    } catch (error) {
+        showError(`${inputModeSelect.value === 'ssml' ? 'SSML' : 'Script'} error: ${error.message}`);
+        return;
+    }
+    const turnGap = parseFloat(turnGapInput.value);
+    const priority = parseInt(prioritySelect.value);
+    const batchSize = parseInt(batchSizeInput.value);
+    const language = languageSelect.value;
+    const loudnessTarget = loudnessTargetSelect.value === '' ? null : parseFloat(loudnessTargetSelect.value);
 
     try {
-        generateBtn.disabled = true;
         hideError();
-        showProgress();
 
-        // Clear results and show placeholder
-        resultsContainer.innerHTML = `
-            <div class="results-placeholder generating">
-                <div class="results-placeholder-icon">⏳</div>
-                <p>Generating speech...</p>
-            </div>
-        `;
-
-        const totalStep = parseInt(totalStepInput.value);
-        const speed = parseFloat(speedInput.value);
+        if (stream) {
+            await startStreamingPlayback();
+        }
 
-        showStatus('ℹ️ <strong>Generating speech from text...</strong>');
-        const tic = Date.now();
+        // Show placeholder until the first result arrives
+        if (!resultsContainer.querySelector('.result-item')) {
+            resultsContainer.innerHTML = `
+                <div class="results-placeholder generating">
+                    <div class="results-placeholder-icon">⏳</div>
+                    <p>${stream ? 'Generating speech (playback starts with the first sentence)...' : 'Generating speech...'}</p>
+                </div>
+            `;
+        }
 
-        let wavBuffer, duration, sampleRate;
+        let pcm, duration, sampleRate, generationTime, usedSeed, usedLanguage, loudness, speakers, timeline, chunkCount, batchCount, cachedChunks;
 
-        if (USE_WORKER && ttsWorker) {
-            // Use worker for generation
-            const result = await sendWorkerMessage('generate', {
-                text,
-                totalStep,
+        if (USE_WORKER && ttsClient) {
+            // Use worker for generation; requests queue up in the worker, so the button stays enabled
+            const request = ttsClient.generate(text, {
+                steps: totalStep,
                 speed,
-                silenceDuration: 0.3
+                pauses,
+                stream,
+                seed,
+                priority,
+                batchSize,
+                language,
+                loudnessTarget,
+                persistCache,
+                ...(dialogue && { turns: dialogue.turns, voices: dialogue.voices, turnGap }),
+                ...(ssml && { segments: ssml.segments, voices: ssml.voices }),
+                onChunk: queueStreamingChunk
             });
 
-            wavBuffer = result.payload.wavBuffer;
-            duration = result.payload.duration;
-            sampleRate = result.payload.sampleRate;
-        } else {
-            // Non-worker mode
-            const result = await textToSpeech.call(
-                text,
-                currentStyle,
+            queuedJobs.set(request.id, {
+                text: text.length > 60 ? `${text.slice(0, 60)}…` : text,
+                voice: dialogue
+                    ? `Dialogue: ${dialogue.speakers.join(', ')}`
+                    : ssml?.names.length ? `SSML: ${[getStyleName(currentStylePath), ...ssml.names].join(', ')}` : getStyleName(currentStylePath),
                 totalStep,
                 speed,
-                0.3,
-                (step, total) => {
-                    showStatus(`ℹ️ <strong>Denoising (${step}/${total})...</strong>`);
-                    updateProgress(step, total, step / total);
+                priority,
+                position: queuedJobs.size + 1
+            });
+            renderQueuePanel();
+
+            try {
+                const result = await request.promise;
+                pcm = result.pcm;
+                duration = result.duration;
+                sampleRate = result.sampleRate;
+                generationTime = result.processingTime;
+                usedSeed = result.seed;
+                usedLanguage = result.language;
+                loudness = result.loudness;
+                speakers = result.speakers;
+                timeline = result.timeline;
+                chunkCount = result.chunkCount;
+                batchCount = result.batchCount;
+                cachedChunks = result.cachedChunks;
+            } finally {
+                queuedJobs.delete(request.id);
+                renderQueuePanel();
+                if (activeGenerationId === request.id) {
+                    activeGenerationId = null;
                 }
-            );
+            }
+        } else {
+            // Non-worker mode runs one generation at a time
+            generateBtn.disabled = true;
+            stopBtn.disabled = false;
+            showProgress();
+            showStatus('ℹ️ <strong>Generating speech from text...</strong>');
+
+            activeAbortController = new AbortController();
+            textToSpeech.chunkCache.persist = persistCache;
+            const onProgress = (step, total, chunkIndex, totalChunks, overallProgress, cachedChunks) => {
+                showStatus(`ℹ️ <strong>${progressMessage(step, total, chunkIndex, totalChunks, cachedChunks)}</strong>`);
+                updateProgress(step, total, overallProgress);
+            };
+            let result;
+            if (dialogue) {
+                result = await textToSpeech.callDialogue(
+                    dialogue.turns.map(({ speaker, text: turnText }) => ({
+                        speaker,
+                        text: turnText,
+                        style: voiceStyleFromJSON([dialogue.voices[speaker]])
+                    })),
+                    totalStep,
+                    speed,
+                    pauses,
+                    turnGap,
+                    onProgress,
+                    stream ? streamEngineChunk : null,
+                    activeAbortController.signal,
+                    seed,
+                    batchSize,
+                    language
+                );
+            } else if (ssml) {
+                result = await textToSpeech.callSegments(
+                    ssml.segments.map((segment) => segment.silence !== undefined ? segment : {
+                        text: segment.text,
+                        speed: segment.speed,
+                        style: segment.voice ? voiceStyleFromJSON([ssml.voices[segment.voice]]) : currentStyle
+                    }),
+                    totalStep,
+                    pauses,
+                    onProgress,
+                    stream ? streamEngineChunk : null,
+                    activeAbortController.signal,
+                    seed,
+                    batchSize,
+                    language
+                );
+            } else {
+                result = await textToSpeech.call(
+                    text,
+                    currentStyle,
+                    totalStep,
+                    speed,
+                    pauses,
+                    onProgress,
+                    stream ? streamEngineChunk : null,
+                    activeAbortController.signal,
+                    seed,
+                    batchSize,
+                    language
+                );
+            }
 
             const wavLen = Math.floor(textToSpeech.sampleRate * result.duration[0]);
-            const wavOut = result.wav.slice(0, wavLen);
-            wavBuffer = writeWavFile(wavOut, textToSpeech.sampleRate);
+            const mastered = normalizeLoudness(result.wav.slice(0, wavLen), textToSpeech.sampleRate, loudnessTarget);
+            pcm = mastered.samples;
+            loudness = {
+                input: mastered.inputLoudness,
+                output: mastered.loudness,
+                truePeak: mastered.truePeak,
+                gain: mastered.gain,
+                target: loudnessTarget
+            };
             duration = result.duration[0];
             sampleRate = textToSpeech.sampleRate;
+            generationTime = (Date.now() - startTime) / 1000;
+            usedSeed = result.seed;
+            usedLanguage = result.language;
+            speakers = result.speakers;
+            timeline = result.timeline;
+            chunkCount = result.chunkCount;
+            batchCount = result.batchCount;
+            cachedChunks = result.cachedChunks;
+        }
+
+        if (randomSeed) {
+            lastRandomTake = { text, seed: usedSeed };
         }
 
-        const toc = Date.now();
-        console.log(`Text-to-speech synthesis: ${((toc - tic) / 1000).toFixed(2)}s`);
+        // Throughput as a realtime factor: seconds of audio per second of processing
+        const realtimeFactor = duration / generationTime;
+        console.log(`Text-to-speech synthesis: ${generationTime.toFixed(2)}s`);
+        console.log(`Throughput: ${chunkCount} chunks (${cachedChunks} cached) in ${batchCount} batches (batch size ${batchSize}), ${realtimeFactor.toFixed(2)}x realtime`);
 
         showStatus('ℹ️ <strong>Creating audio file...</strong>');
 
-        const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-
-        // Revoke previous URL to prevent memory leak
-        if (previousAudioUrl) {
-            URL.revokeObjectURL(previousAudioUrl);
-        }
+        // The player gets a 16-bit WAV; downloads are encoded in the chosen format on demand
+        const blob = new Blob([writeWavFile(pcm, sampleRate)], { type: 'audio/wav' });
         const url = URL.createObjectURL(blob);
-        previousAudioUrl = url;
 
         // Calculate total time and audio duration
-        const endTime = Date.now();
-        const totalTimeSec = ((endTime - startTime) / 1000).toFixed(2);
+        const totalTimeSec = generationTime.toFixed(2);
         const audioDurationSec = duration.toFixed(2);
 
-        // Hide progress bar
-        hideProgress();
+        // Hide progress bar once nothing else is queued
+        if (queuedJobs.size === 0) {
+            hideProgress();
+        }
 
-        // Display result with full text
-        resultsContainer.innerHTML = `
+        // Display result with full text, newest first
+        resultsContainer.querySelectorAll('.results-placeholder, .empty-state').forEach(el => el.remove());
+        resultsContainer.insertAdjacentHTML('afterbegin', `
             <div class="result-item">
                 <div class="result-text-container">
                     <div class="result-text-label">Input Text</div>
@@ -420,37 +1336,131 @@ async function generateSpeech() {
                         <span>⏱️ Generation Time</span>
                         <strong>${totalTimeSec}s</strong>
                     </div>
+                    <div class="info-item">
+                        <span>🎲 Seed</span>
+                        <strong>${usedSeed}</strong>
+                    </div>
+                    <div class="info-item">
+                        <span>🔊 Loudness</span>
+                        <strong title="${loudness.target === null ? 'Measured only' : `Measured ${formatLevel(loudness.input, 'LUFS')}, gain ${loudness.gain.toFixed(1)} dB`}">${formatLevel(loudness.output, 'LUFS')}</strong>
+                    </div>
+                    <div class="info-item">
+                        <span>📈 True Peak</span>
+                        <strong>${formatLevel(loudness.truePeak, 'dBTP')}</strong>
+                    </div>
+                    ${usedLanguage ? `
+                    <div class="info-item">
+                        <span>🌐 Language</span>
+                        <strong>${getLanguageName(usedLanguage)}</strong>
+                    </div>` : ''}
+                    <div class="info-item">
+                        <span>⚡ Throughput</span>
+                        <strong title="${chunkCount} chunks, ${cachedChunks} from the cache, in ${batchCount} batches (batch size ${batchSize})">${realtimeFactor.toFixed(1)}x realtime</strong>
+                    </div>
                 </div>
+                ${speakers ? `
+                <div class="result-speakers">
+                    <div class="result-text-label">Speakers</div>
+                    ${speakers.map(({ speaker, lines, duration: speakerDuration }) => `
+                    <div class="speaker-row">
+                        <strong>${speaker}</strong>
+                        <span>${lines} ${lines === 1 ? 'line' : 'lines'}</span>
+                        <span>${speakerDuration.toFixed(2)}s</span>
+                    </div>`).join('')}
+                </div>` : ''}
                 <div class="result-player">
                     <audio controls>
                         <source src="${url}" type="audio/wav">
                     </audio>
                 </div>
                 <div class="result-actions">
-                    <button onclick="downloadAudio('${url}', 'synthesized_speech.wav')">
+                    <button onclick="downloadResult('${url}')">
                         <span>⬇️</span>
-                        <span>Download WAV</span>
+                        <span>Download Audio</span>
+                    </button>
+                    <button onclick="downloadSubtitles('${url}', 'srt')">
+                        <span>💬</span>
+                        <span>Download SRT</span>
+                    </button>
+                    <button onclick="downloadSubtitles('${url}', 'vtt')">
+                        <span>💬</span>
+                        <span>Download VTT</span>
+                    </button>
+                    <button onclick="reuseSeed(${usedSeed})">
+                        <span>🔁</span>
+                        <span>Reuse Seed</span>
                     </button>
                 </div>
             </div>
-        `;
+        `);
+
+        // The full take replaces whatever is still streaming once the user plays it
+        const resultItem = resultsContainer.querySelector('.result-item');
+        const resultAudio = resultItem.querySelector('audio');
+        resultAudio.addEventListener('play', stopStreamingPlayback);
+        if (timeline?.length) {
+            renderReadAlong(resultItem.querySelector('.result-text'), resultAudio, timeline);
+        }
 
-        showStatus('✅ <strong>Speech synthesis completed successfully!</strong>', 'success');
+        // Drop the oldest results and revoke their URLs to prevent memory leaks
+        resultAudioUrls.unshift(url);
+        const voiceNames = dialogue ? dialogue.speakers : [getStyleName(currentStylePath).replace(/\.json$/, ''), ...(ssml?.names ?? [])];
+        const fileName = exportFileName(voiceNames, speed, totalStep, usedSeed);
+        resultDownloads.set(url, { pcm, sampleRate, timeline, fileName });
+        saveToHistory({
+            text,
+            inputMode: inputModeSelect.value,
+            voice: voiceNames.join(', '),
+            stylePath: currentStylePath,
+            totalStep,
+            speed,
+            seed: usedSeed,
+            language,
+            usedLanguage,
+            batchSize,
+            pauses,
+            turnGap,
+            loudnessTarget,
+            backend: activeBackend,
+            generationTime,
+            duration,
+            sampleRate,
+            fileName
+        }, pcm);
+        while (resultAudioUrls.length > MAX_RESULTS) {
+            const oldUrl = resultAudioUrls.pop();
+            URL.revokeObjectURL(oldUrl);
+            resultDownloads.delete(oldUrl);
+            resultsContainer.querySelector('.result-item:last-of-type').remove();
+        }
+
+        if (queuedJobs.size === 0) {
+            showStatus('✅ <strong>Speech synthesis completed successfully!</strong>', 'success');
+        }
 
     } catch (error) {
-        console.error('Error during synthesis:', error);
-        showStatus(`❌ <strong>Error during synthesis:</strong> ${error.message}`, 'error');
-        showError(`Error during synthesis: ${error.message}`);
-        hideProgress();
+        if (error instanceof GenerationCancelledError) {
+            showStatus('⏹️ <strong>Generation stopped.</strong>');
+        } else {
+            console.error('Error during synthesis:', error);
+            showStatus(`❌ <strong>Error during synthesis:</strong> ${error.message}`, 'error');
+            showError(`Error during synthesis: ${error.message}`);
+        }
+        if (queuedJobs.size === 0) {
+            hideProgress();
+        }
 
         // Restore placeholder
-        resultsContainer.innerHTML = `
-            <div class="results-placeholder">
-                <div class="results-placeholder-icon">🎤</div>
-                <p>Generated speech will appear here</p>
-            </div>
-        `;
+        if (!resultsContainer.querySelector('.result-item')) {
+            resultsContainer.innerHTML = `
+                <div class="results-placeholder">
+                    <div class="results-placeholder-icon">🎤</div>
+                    <p>Generated speech will appear here</p>
+                </div>
+            `;
+        }
     } finally {
+        activeAbortController = null;
         generateBtn.disabled = false;
     }
 }
@@ -463,8 +1473,410 @@ window.downloadAudio = function (url, filename) {
     a.click();
 };
 
+// Read-along: each sentence of the timeline lights up while it is spoken; clicking one seeks the player to it
+function renderReadAlong(container, audio, timeline) {
+    const fragments = [];
+    let previousSpeaker;
+    const cues = timeline.map(({ text, start, end, speaker }, i) => {
+        if (speaker !== undefined && speaker !== previousSpeaker) {
+            if (i > 0) {
+                fragments.push(document.createElement('br'));
+            }
+            const label = document.createElement('strong');
+            label.textContent = `${speaker}: `;
+            fragments.push(label);
+        } else if (i > 0 && !CJK_SENTENCE_END_PATTERN.test(timeline[i - 1].text)) {
+            fragments.push(' ');
+        }
+        previousSpeaker = speaker;
+
+        const span = document.createElement('span');
+        span.className = 'read-along-cue';
+        span.textContent = text;
+        span.tabIndex = 0;
+        span.setAttribute('role', 'button');
+        const seek = () => {
+            audio.currentTime = start;
+            audio.play();
+        };
+        span.addEventListener('click', seek);
+        span.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                seek();
+            }
+        });
+        fragments.push(span);
+        return { span, start, end };
+    });
+    container.replaceChildren(...fragments);
+
+    let active = null;
+    const highlight = () => {
+        const time = audio.currentTime;
+        const cue = audio.ended ? null : cues.find(({ start, end }) => time >= start && time < end) ?? null;
+        if (cue === active) {
+            return;
+        }
+        active?.span.classList.remove('active');
+        active?.span.removeAttribute('aria-current');
+        if (cue) {
+            cue.span.classList.add('active');
+            cue.span.setAttribute('aria-current', 'true');
+            // Keep the spoken sentence in view without scrolling the page
+            container.scrollTop = cue.span.offsetTop - container.clientHeight / 3;
+        }
+        active = cue;
+    };
+    audio.addEventListener('timeupdate', highlight);
+    audio.addEventListener('seeked', highlight);
+    audio.addEventListener('ended', highlight);
+}
+
+// Levels of silent audio are -Infinity
+function formatLevel(value, unit) {
+    return `${Number.isFinite(value) ? value.toFixed(1) : '-∞'} ${unit}`;
+}
+
+// Download names describe the take, e.g. M1_1.05x_5steps_seed1234.flac
+function exportFileName(voices, speed, totalStep, seed) {
+    return `${voices.join('-')}_${speed}x_${totalStep}steps_seed${seed}`.replace(/[^\w.-]+/g, '-');
+}
+
+// Encode a result in the format picked in the settings and download it
+window.downloadResult = async function (audioUrl) {
+    const download = resultDownloads.get(audioUrl);
+    if (!download) {
+        return;
+    }
+    const { extension, mimeType } = EXPORT_FORMATS[exportFormatSelect.value];
+    try {
+        const encoded = await encodeAudio(download.pcm, download.sampleRate, exportFormatSelect.value);
+        const url = URL.createObjectURL(new Blob([encoded], { type: mimeType }));
+        window.downloadAudio(url, `${download.fileName}.${extension}`);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        console.error('Export failed:', error);
+        showError(`Export failed: ${error.message}`);
+    }
+};
+
+// Captions for a result, timed from the chunk durations the engine predicted
+window.downloadSubtitles = function (audioUrl, format) {
+    const download = resultDownloads.get(audioUrl);
+    if (!download?.timeline) {
+        return;
+    }
+    const { extension, mimeType } = SUBTITLE_FORMATS[format];
+    const blob = new Blob([formatSubtitles(download.timeline, format)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    window.downloadAudio(url, `${download.fileName}.${extension}`);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// History: every finished take is kept in IndexedDB with its settings
+async function saveToHistory(entry, pcm) {
+    try {
+        await addHistoryEntry(entry, pcm);
+    } catch (error) {
+        console.error('Could not save to history:', error);
+        showError(`Could not save this take to the history: ${error.message}`);
+    }
+    await renderHistory();
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+async function renderHistory() {
+    let entries;
+    try {
+        entries = await listHistoryEntries();
+    } catch (error) {
+        console.error('Could not read history:', error);
+        historyUsage.textContent = 'Unavailable';
+        return;
+    }
+
+    historyList.replaceChildren(...entries.map((entry) => {
+        const item = document.createElement('li');
+        item.className = 'queue-item history-item';
+
+        const details = document.createElement('div');
+        details.className = 'queue-details';
+        const preview = document.createElement('div');
+        preview.className = 'queue-text';
+        preview.textContent = entry.text;
+        preview.title = entry.text;
+        const meta = document.createElement('small');
+        meta.className = 'text-muted';
+        meta.textContent = [
+            entry.voice,
+            `${entry.totalStep} steps`,
+            `${entry.speed}x`,
+            `seed ${entry.seed}`,
+            entry.backend,
+            `${entry.duration.toFixed(1)}s in ${entry.generationTime.toFixed(1)}s`,
+            new Date(entry.createdAt).toLocaleString()
+        ].filter(Boolean).join(' · ');
+        details.append(preview, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const addAction = (icon, title, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.title = title;
+            button.textContent = icon;
+            button.addEventListener('click', handler);
+            actions.append(button);
+        };
+        addAction('▶️', 'Play', () => playHistoryEntry(entry));
+        addAction('⬇️', 'Download in the selected format', () => downloadHistoryEntry(entry));
+        addAction('↩️', 'Restore settings', () => restoreHistorySettings(entry));
+        addAction('✕', 'Delete', async () => {
+            try {
+                await deleteHistoryEntry(entry.id);
+            } catch (error) {
+                showError(`Could not delete history entry: ${error.message}`);
+            }
+            await renderHistory();
+        });
+
+        item.append(details, actions);
+        return item;
+    }));
+    document.getElementById('historyEmpty').classList.toggle('hidden', entries.length > 0);
+    document.getElementById('historyClearBtn').disabled = entries.length === 0;
+
+    const storage = await estimateStorage();
+    historyUsage.textContent = storage
+        ? `${formatBytes(storage.usage)} of ${formatBytes(storage.quota)} used`
+        : `${entries.length} ${entries.length === 1 ? 'take' : 'takes'}`;
+}
+
+async function playHistoryEntry(entry) {
+    try {
+        const pcm = await getHistoryAudio(entry.id);
+        if (historyPlayer.src) {
+            URL.revokeObjectURL(historyPlayer.src);
+        }
+        historyPlayer.src = URL.createObjectURL(new Blob([writeWavFile(pcm, entry.sampleRate)], { type: 'audio/wav' }));
+        historyPlayer.classList.remove('hidden');
+        stopStreamingPlayback();
+        await historyPlayer.play();
+    } catch (error) {
+        showError(`Could not play history entry: ${error.message}`);
+    }
+}
+
+async function downloadHistoryEntry(entry) {
+    const format = exportFormatSelect.value;
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    try {
+        const pcm = await getHistoryAudio(entry.id);
+        const encoded = await encodeAudio(pcm, entry.sampleRate, format);
+        const url = URL.createObjectURL(new Blob([encoded], { type: mimeType }));
+        window.downloadAudio(url, `${entry.fileName}.${extension}`);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        showError(`Export failed: ${error.message}`);
+    }
+}
+
+// Put the take's text and settings back so it can be regenerated or tweaked
+function restoreHistorySettings(entry) {
+    textInput.value = entry.text;
+    inputModeSelect.value = entry.inputMode;
+    inputModeSelect.dispatchEvent(new Event('change'));
+    languageSelect.value = entry.language;
+    totalStepInput.value = entry.totalStep;
+    speedInput.value = entry.speed;
+    batchSizeInput.value = entry.batchSize;
+    turnGapInput.value = entry.turnGap;
+    seedInput.value = entry.seed;
+    loudnessTargetSelect.value = entry.loudnessTarget === null ? '' : entry.loudnessTarget;
+    for (const input of [textInput, totalStepInput, speedInput, batchSizeInput, turnGapInput]) {
+        input.dispatchEvent(new Event('input'));
+    }
+    renderPauseSliders(resolvePauses(entry.pauses));
+    localStorage.setItem(PAUSES_STORAGE_KEY, JSON.stringify(currentPauses()));
+
+    if ([...voiceStyleSelect.options].some(option => option.value === entry.stylePath)) {
+        selectStyle(entry.stylePath);
+    } else {
+        showError(`Voice "${entry.voice}" is no longer available; the other settings were restored`);
+    }
+}
+
+// Put a result's seed back into the settings so the take can be regenerated exactly
+window.reuseSeed = function (seed) {
+    seedInput.value = seed;
+};
+
+// Custom voice import: drag and drop or file picker
+restoreCustomStyles();
+removeStyleBtn.addEventListener('click', removeSelectedStyle);
+styleFileInput.addEventListener('change', () => {
+    importStyleFiles([...styleFileInput.files]);
+    styleFileInput.value = '';
+});
+styleDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    styleDropZone.classList.add('dragging');
+});
+styleDropZone.addEventListener('dragleave', () => {
+    styleDropZone.classList.remove('dragging');
+});
+styleDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    styleDropZone.classList.remove('dragging');
+    importStyleFiles([...e.dataTransfer.files]);
+});
+
+// Normalized text preview
+document.getElementById('previewTextBtn').addEventListener('click', previewNormalizedText);
+document.getElementById('closePreviewBtn').addEventListener('click', () => {
+    normalizedPreview.classList.add('hidden');
+});
+
+// Export format picker, remembered across reloads
+for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+    exportFormatSelect.add(new Option(label, format));
+}
+const storedExportFormat = localStorage.getItem(EXPORT_FORMAT_STORAGE_KEY);
+exportFormatSelect.value = EXPORT_FORMATS[storedExportFormat] ? storedExportFormat : 'wav16';
+exportFormatSelect.addEventListener('change', () => {
+    localStorage.setItem(EXPORT_FORMAT_STORAGE_KEY, exportFormatSelect.value);
+});
+
+// Model storage
+async function renderModelStorage() {
+    let usage;
+    try {
+        usage = await getModelStorageUsage();
+    } catch (error) {
+        console.error('Could not read the model cache:', error);
+        modelStorageInfo.textContent = 'Unavailable';
+        return;
+    }
+    const { files, bytes } = usage;
+    modelStorageInfo.textContent = files > 0
+        ? `${files} model ${files === 1 ? 'file' : 'files'} cached, ${formatBytes(bytes)}`
+        : 'No models cached; they are downloaded on every visit';
+}
+
+document.getElementById('clearModelsBtn').addEventListener('click', async () => {
+    if (!confirm('Delete the cached models? They will be downloaded again on the next visit.')) {
+        return;
+    }
+    try {
+        await clearModelCache();
+    } catch (error) {
+        showError(`Could not clear the cached models: ${error.message}`);
+    }
+    await renderModelStorage();
+});
+
+// Sentence cache
+persistCacheInput.checked = localStorage.getItem(PERSIST_CACHE_STORAGE_KEY) === 'true';
+persistCacheInput.addEventListener('change', () => {
+    localStorage.setItem(PERSIST_CACHE_STORAGE_KEY, String(persistCacheInput.checked));
+});
+document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+    try {
+        if (USE_WORKER && ttsClient) {
+            await ttsClient.clearCache();
+        } else if (textToSpeech) {
+            await textToSpeech.chunkCache.clear();
+        }
+        showStatus('✅ <strong>Sentence cache cleared.</strong>', 'success');
+    } catch (error) {
+        showError(`Could not clear the sentence cache: ${error.message}`);
+    }
+});
+
+// Generation history
+renderHistory();
+document.getElementById('historyClearBtn').addEventListener('click', async () => {
+    if (!confirm('Delete every take in the history?')) {
+        return;
+    }
+    try {
+        await clearHistory();
+    } catch (error) {
+        showError(`Could not clear the history: ${error.message}`);
+    }
+    await renderHistory();
+});
+
+// Pause controls
+restorePauses();
+document.getElementById('pauseResetBtn').addEventListener('click', () => {
+    localStorage.removeItem(PAUSES_STORAGE_KEY);
+    renderPauseSliders(DEFAULT_PAUSES);
+});
+
+// Pronunciation lexicon controls
+restoreLexicon();
+document.getElementById('lexiconAddBtn').addEventListener('click', () => {
+    lexiconEntries.push({ type: 'word', pattern: '', replacement: '' });
+    renderLexicon();
+    lexiconList.lastElementChild.querySelector('.text-input').focus();
+});
+document.getElementById('lexiconImportBtn').addEventListener('click', () => lexiconFileInput.click());
+lexiconFileInput.addEventListener('change', () => {
+    if (lexiconFileInput.files[0]) {
+        importLexiconFile(lexiconFileInput.files[0]);
+    }
+    lexiconFileInput.value = '';
+});
+document.getElementById('lexiconExportBtn').addEventListener('click', exportLexicon);
+
+// Input modes: plain text, dialogue script or SSML markup
+const INPUT_MODES = {
+    text: {
+        placeholder: 'Enter text to convert to speech...',
+        hint: 'Text is split into sentences automatically'
+    },
+    script: {
+        placeholder: 'F1: Hello there.\nM2: Hi! How are you?',
+        hint: 'One turn per line, e.g. "F1: Hello there." then "M2: Hi!"'
+    },
+    ssml: {
+        placeholder: '<speak>\n  <s>Hello there.</s>\n  <break time="500ms"/>\n  <prosody rate="0.9"><voice name="M1">Nice to meet you.</voice></prosody>\n</speak>',
+        hint: 'Supports <p>, <s>, <break time>, <prosody rate> and <voice name>'
+    }
+};
+inputModeSelect.addEventListener('change', () => {
+    const mode = INPUT_MODES[inputModeSelect.value];
+    turnGapGroup.classList.toggle('hidden', inputModeSelect.value !== 'script');
+    textInput.placeholder = mode.placeholder;
+    inputModeHint.textContent = mode.hint;
+    analyzeText();
+});
+languageSelect.addEventListener('change', analyzeText);
+turnGapInput.addEventListener('input', () => {
+    document.getElementById('turnGapValue').textContent = `${turnGapInput.value}s`;
+});
+
+// Voice blending controls
+renderBlendSliders();
+blendPreviewBtn.addEventListener('click', previewBlend);
+blendSaveBtn.addEventListener('click', saveBlend);
+blendExportBtn.addEventListener('click', exportBlend);
+
 // Attach generate function to button
 generateBtn.addEventListener('click', generateSpeech);
+stopBtn.addEventListener('click', cancelGeneration);
 
 // Character count update with debounce
 const charCountEl = document.getElementById('charCount');
@@ -475,6 +1887,13 @@ const debouncedCharCount = debounce(updateCharCount, 50);
 textInput.addEventListener('input', debouncedCharCount);
 updateCharCount();
 
+// Keep the analysis highlights in step with the text box
+textInput.addEventListener('input', debouncedAnalyzeText);
+textInput.addEventListener('scroll', () => {
+    textHighlights.scrollTop = textInput.scrollTop;
+});
+renderTextIssues(textInput.value, []);
+
 // Range slider value updates with throttle
 const totalStepValueEl = document.getElementById('totalStepValue');
 const speedValueEl = document.getElementById('speedValue');
@@ -487,6 +1906,10 @@ speedInput.addEventListener('input', debounce(() => {
     speedValueEl.textContent = speedInput.value + 'x';
 }, 16));
 
+batchSizeInput.addEventListener('input', debounce(() => {
+    batchSizeValueEl.textContent = batchSizeInput.value;
+}, 16));
+
 // Initialize on load
 window.addEventListener('load', async () => {
     generateBtn.disabled = true;
@@ -0,0 +1,122 @@
+// Model store: ONNX files downloaded once with byte-level progress and kept in Cache Storage
+
+import { fingerprint } from './chunkCache.js';
+
+const CACHE_NAME = 'supertonic-models';
+const VERSION_HEADER = 'X-Supertonic-Model-Version';
+
+/**
+ * Version the cached files are checked against: the version tts.json declares,
+ * or else a hash of the whole config, so changed models evict the old files
+ */
+export function modelVersion(cfgs) {
+    return String(cfgs.version ?? cfgs.model_version ?? fingerprint(JSON.stringify(cfgs)));
+}
+
+async function openModelCache() {
+    // Cache Storage is missing outside secure contexts; models are then downloaded on every load
+    if (typeof caches === 'undefined') {
+        return null;
+    }
+    try {
+        return await caches.open(CACHE_NAME);
+    } catch (error) {
+        console.warn('Model cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Read a response body, calling progressCallback(loaded, total) as bytes arrive.
+ * total is null when the server does not send Content-Length.
+ */
+async function readWithProgress(response, progressCallback) {
+    const declared = Number(response.headers.get('Content-Length'));
+    const total = declared > 0 ? declared : null;
+    if (!response.body) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        progressCallback?.(bytes.length, bytes.length);
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const parts = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        parts.push(value);
+        loaded += value.length;
+        // Compressed transfers can report the compressed length; never show more than 100%
+        progressCallback?.(loaded, total === null ? null : Math.max(total, loaded));
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+/**
+ * Model file bytes from the cache when it holds this version, otherwise
+ * downloaded and stored. progressCallback(loaded, total, cached) reports the download.
+ */
+export async function fetchModel(url, version, progressCallback = null) {
+    const cache = await openModelCache();
+    const cached = await cache?.match(url);
+    if (cached && cached.headers.get(VERSION_HEADER) === version) {
+        const bytes = new Uint8Array(await cached.arrayBuffer());
+        progressCallback?.(bytes.length, bytes.length, true);
+        return bytes;
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    }
+    const bytes = await readWithProgress(response, (loaded, total) => progressCallback?.(loaded, total, false));
+
+    if (cache) {
+        try {
+            await cache.put(url, new Response(bytes, {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Length': String(bytes.length),
+                    [VERSION_HEADER]: version
+                }
+            }));
+        } catch (error) {
+            // Usually the storage quota; the session still loads from the downloaded bytes
+            console.warn(`Could not cache ${url}:`, error);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Number of cached model files and their total size in bytes
+ */
+export async function getModelStorageUsage() {
+    const cache = await openModelCache();
+    if (!cache) {
+        return { files: 0, bytes: 0 };
+    }
+    const requests = await cache.keys();
+    let bytes = 0;
+    for (const request of requests) {
+        const response = await cache.match(request);
+        bytes += Number(response?.headers.get('Content-Length')) || 0;
+    }
+    return { files: requests.length, bytes };
+}
+
+export async function clearModelCache() {
+    if (typeof caches !== 'undefined') {
+        await caches.delete(CACHE_NAME);
+    }
+}
@@ -0,0 +1,55 @@
+// Node.js loaders: the same engine as the page, with models, configs and voices read from the filesystem.
+// helper.js resolves '#onnxruntime' to onnxruntime-node here, so sessions run natively.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import {
+    TextToSpeech,
+    UnicodeProcessor,
+    loadOnnx,
+    voiceStyleFromJSON
+} from './helper.js';
+
+const MODEL_FILES = [
+    { name: 'Duration Predictor', file: 'duration_predictor.onnx' },
+    { name: 'Text Encoder', file: 'text_encoder.onnx' },
+    { name: 'Vector Estimator', file: 'vector_estimator.onnx' },
+    { name: 'Vocoder', file: 'vocoder.onnx' }
+];
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Load all TTS components from onnxDir on disk.
+ * progressCallback(modelName, current, total) is called before each model loads.
+ */
+export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null) {
+    const cfgs = await readJson(path.join(onnxDir, 'tts.json'));
+    const textProcessor = new UnicodeProcessor(await readJson(path.join(onnxDir, 'unicode_indexer.json')));
+
+    const sessions = [];
+    for (let i = 0; i < MODEL_FILES.length; i++) {
+        if (progressCallback) {
+            progressCallback(MODEL_FILES[i].name, i + 1, MODEL_FILES.length);
+        }
+        sessions.push(await loadOnnx(path.join(onnxDir, MODEL_FILES[i].file), sessionOptions));
+    }
+
+    const [dpOrt, textEncOrt, vectorEstOrt, vocoderOrt] = sessions;
+    const textToSpeech = new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt);
+    return { textToSpeech, cfgs };
+}
+
+/**
+ * Load voice style JSON files from disk; several paths make a batch of styles
+ */
+export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
+    const voiceStyles = await Promise.all(voiceStylePaths.map(readJson));
+    return voiceStyleFromJSON(voiceStyles, verbose);
+}
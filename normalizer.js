@@ -0,0 +1,320 @@
+// Text normalization: expand numbers, dates, times, currency and units into speakable English words
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion'];
+const IRREGULAR_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const CURRENCIES = {
+    '$': { unit: ['dollar', 'dollars'], subunit: ['cent', 'cents'] },
+    '€': { unit: ['euro', 'euros'], subunit: ['cent', 'cents'] },
+    '£': { unit: ['pound', 'pounds'], subunit: ['penny', 'pence'] },
+    '¥': { unit: ['yen', 'yen'], subunit: null },
+    '₹': { unit: ['rupee', 'rupees'], subunit: ['paisa', 'paise'] },
+};
+const MAGNITUDES = { k: 'thousand', m: 'million', b: 'billion', bn: 'billion', t: 'trillion' };
+
+const UNITS = {
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    'kph': ['kilometer per hour', 'kilometers per hour'],
+    'mph': ['mile per hour', 'miles per hour'],
+    'km': ['kilometer', 'kilometers'],
+    'cm': ['centimeter', 'centimeters'],
+    'mm': ['millimeter', 'millimeters'],
+    'm': ['meter', 'meters'],
+    'mi': ['mile', 'miles'],
+    'ft': ['foot', 'feet'],
+    'kg': ['kilogram', 'kilograms'],
+    'mg': ['milligram', 'milligrams'],
+    'g': ['gram', 'grams'],
+    'lb': ['pound', 'pounds'],
+    'lbs': ['pound', 'pounds'],
+    'oz': ['ounce', 'ounces'],
+    'ml': ['milliliter', 'milliliters'],
+    'mL': ['milliliter', 'milliliters'],
+    'L': ['liter', 'liters'],
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees'],
+    'KB': ['kilobyte', 'kilobytes'],
+    'kB': ['kilobyte', 'kilobytes'],
+    'MB': ['megabyte', 'megabytes'],
+    'GB': ['gigabyte', 'gigabytes'],
+    'TB': ['terabyte', 'terabytes'],
+    'Hz': ['hertz', 'hertz'],
+    'kHz': ['kilohertz', 'kilohertz'],
+    'MHz': ['megahertz', 'megahertz'],
+    'GHz': ['gigahertz', 'gigahertz'],
+    'W': ['watt', 'watts'],
+    'kW': ['kilowatt', 'kilowatts'],
+    'kWh': ['kilowatt hour', 'kilowatt hours'],
+    'ms': ['millisecond', 'milliseconds'],
+};
+
+// Longest units first so "km/h" wins over "km" and "kWh" over "kW"
+const UNIT_ALTERNATION = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(unit => unit.replace(/[/]/g, '\\/'))
+    .join('|');
+const MONTH_ALTERNATION = MONTHS.map(month => `${month}|${month.slice(0, 3)}\\.?`).join('|');
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?';
+// Leading minus of a negative amount, only at the start of a word so ranges like 5-10 keep theirs
+const SIGN = '(?:(?<=^|[\\s(])(-))?';
+
+function signed(sign, words) {
+    return sign ? `minus ${words}` : words;
+}
+
+/**
+ * Read digits one by one, e.g. "0451" -> "zero four five one"
+ */
+export function spellDigits(digits) {
+    return [...String(digits)].map(digit => ONES[digit]).join(' ');
+}
+
+function underThousand(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(ONES[Math.floor(n / 100)], 'hundred');
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[n / 10]);
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Integer to words, e.g. "1,250" -> "one thousand two hundred fifty".
+ * Numbers beyond the largest scale are read digit by digit.
+ */
+export function cardinal(value) {
+    const digits = String(value).replace(/,/g, '').replace(/^0+(?=\d)/, '');
+    if (digits.length > SCALES.length * 3) {
+        return spellDigits(digits);
+    }
+    if (digits === '0') {
+        return 'zero';
+    }
+
+    const groups = [];
+    for (let end = digits.length; end > 0; end -= 3) {
+        groups.unshift(Number(digits.slice(Math.max(0, end - 3), end)));
+    }
+    return groups
+        .map((group, i) => {
+            const scale = SCALES[groups.length - 1 - i];
+            return group ? `${underThousand(group)}${scale ? ` ${scale}` : ''}` : '';
+        })
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Integer to ordinal words, e.g. 21 -> "twenty-first"
+ */
+export function ordinal(value) {
+    return cardinal(value).replace(/[a-z]+$/, (word) => {
+        if (IRREGULAR_ORDINALS[word]) return IRREGULAR_ORDINALS[word];
+        if (word.endsWith('y')) return `${word.slice(0, -1)}ieth`;
+        return `${word}th`;
+    });
+}
+
+/**
+ * Decimal to words, e.g. "3.14" -> "three point one four"
+ */
+export function decimal(integer, fraction = '') {
+    return fraction ? `${cardinal(integer)} point ${spellDigits(fraction)}` : cardinal(integer);
+}
+
+/**
+ * Year to words, e.g. 1999 -> "nineteen ninety-nine", 2005 -> "two thousand five"
+ */
+export function year(value) {
+    const n = Number(value);
+    if (n < 1000 || n > 2999 || (n >= 2000 && n < 2010)) {
+        return cardinal(n);
+    }
+    const [high, low] = [Math.floor(n / 100), n % 100];
+    if (low === 0) {
+        return n % 1000 === 0 ? cardinal(n) : `${cardinal(high)} hundred`;
+    }
+    return `${cardinal(high)} ${low < 10 ? `oh ${ONES[low]}` : cardinal(low)}`;
+}
+
+function twoDigitYear(value) {
+    const n = Number(value);
+    return n < 10 ? `oh ${ONES[n]}` : cardinal(n);
+}
+
+function spokenDate(month, day, yearDigits) {
+    const words = `${MONTHS[month - 1]} ${ordinal(day)}`;
+    if (!yearDigits) return words;
+    return `${words}, ${yearDigits.length === 2 ? twoDigitYear(yearDigits) : year(yearDigits)}`;
+}
+
+function spokenTime(hour, minute, meridiem) {
+    const h = Number(hour);
+    const m = Number(minute || 0);
+    if (h > 23 || m > 59 || (meridiem && (h === 0 || h > 12))) {
+        return null;
+    }
+
+    let words = cardinal(h);
+    if (m > 0) {
+        words += ` ${m < 10 ? `oh ${ONES[m]}` : cardinal(m)}`;
+    } else if (!meridiem && minute !== undefined) {
+        words += h > 12 || h === 0 ? ' hundred' : " o'clock";
+    }
+    return meridiem ? `${words} ${meridiem.toLowerCase() === 'a' ? 'a m' : 'p m'}` : words;
+}
+
+function unitName(unit, amount) {
+    const [singular, plural] = UNITS[unit];
+    return amount === '1' ? singular : plural;
+}
+
+// Ordered rules; the more specific patterns (phone numbers, dates, times, money) run before plain numbers
+const NORMALIZATION_RULES = [
+    // Phone numbers: +1 (555) 123-4567, 555-123-4567, 555.123.4567
+    [
+        /(?<![\w+])(?:\+(\d{1,3})[\s.-]?)?(?:\((\d{3})\)\s?|(\d{3})[\s.-])(\d{3})[\s.-](\d{4})(?!\d)/g,
+        (match, country, areaParen, area, exchange, line) => [
+            country ? `plus ${spellDigits(country)}` : null,
+            spellDigits(areaParen || area),
+            spellDigits(exchange),
+            spellDigits(line)
+        ].filter(Boolean).join(', ')
+    ],
+    // ISO dates: 2025-03-14
+    [
+        /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+        (match, y, m, d) => (Number(m) >= 1 && Number(m) <= 12 && Number(d) >= 1 && Number(d) <= 31)
+            ? spokenDate(Number(m), Number(d), y)
+            : match
+    ],
+    // Numeric dates: 3/14/2025 (month first), or 14/3/2025 when the first part cannot be a month
+    [
+        /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g,
+        (match, a, b, y) => {
+            let [m, d] = [Number(a), Number(b)];
+            if (m > 12 && d <= 12) {
+                [m, d] = [d, m];
+            }
+            return (m >= 1 && m <= 12 && d >= 1 && d <= 31) ? spokenDate(m, d, y) : match;
+        }
+    ],
+    // Written dates: March 14, 2025 / Mar 14th
+    [
+        new RegExp(`\\b(${MONTH_ALTERNATION})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'),
+        (match, month, d, y) => {
+            const m = MONTHS.findIndex(name => name.startsWith(month.replace('.', ''))) + 1;
+            return Number(d) >= 1 && Number(d) <= 31 ? spokenDate(m, Number(d), y) : match;
+        }
+    ],
+    // Clock times: 17:30, 5:30pm, 5:30 p.m.
+    [
+        /\b(\d{1,2}):(\d{2})(?:\s?([AaPp])\.?[Mm]\b\.?)?(?!\d)/g,
+        (match, h, m, meridiem) => spokenTime(h, m, meridiem) ?? match
+    ],
+    // Hours with am/pm: 5pm, 11 a.m.
+    [
+        /\b(\d{1,2})\s?([AaPp])\.?[Mm]\b\.?/g,
+        (match, h, meridiem) => spokenTime(h, undefined, meridiem) ?? match
+    ],
+    // Money: $1,250.50, €3, £2.5 million, $5M, -$20
+    [
+        new RegExp(`${SIGN}([$€£¥₹])\\s?${NUMBER}(?:\\s?(thousand|million|billion|trillion|bn|[KkMmBbTt])\\b)?`, 'g'),
+        (match, sign, symbol, integer, fraction, magnitude) => {
+            const { unit, subunit } = CURRENCIES[symbol];
+            if (magnitude) {
+                const scale = MAGNITUDES[magnitude.toLowerCase()] || magnitude;
+                return signed(sign, `${decimal(integer, fraction)} ${scale} ${unit[1]}`);
+            }
+            if (fraction && (fraction.length > 2 || !subunit)) {
+                return signed(sign, `${decimal(integer, fraction)} ${unit[1]}`);
+            }
+
+            const units = Number(integer.replace(/,/g, ''));
+            const cents = fraction ? Number(fraction.padEnd(2, '0')) : 0;
+            const parts = [];
+            if (units > 0 || cents === 0) {
+                parts.push(`${cardinal(integer)} ${units === 1 ? unit[0] : unit[1]}`);
+            }
+            if (cents > 0) {
+                parts.push(`${cardinal(cents)} ${cents === 1 ? subunit[0] : subunit[1]}`);
+            }
+            return signed(sign, parts.join(' and '));
+        }
+    ],
+    // Percentages: 12.5%, -3%
+    [
+        new RegExp(`${SIGN}${NUMBER}\\s?%`, 'g'),
+        (match, sign, integer, fraction) => signed(sign, `${decimal(integer, fraction)} percent`)
+    ],
+    // Measurements: 12kg, 5 km/h, 30°C, -5°C
+    [
+        new RegExp(`(?<![\\w.])${SIGN}${NUMBER}\\s?(${UNIT_ALTERNATION})(?![\\w°/])`, 'g'),
+        (match, sign, integer, fraction, unit) => signed(sign, `${decimal(integer, fraction)} ${unitName(unit, fraction ? null : integer)}`)
+    ],
+    // Ordinals: 1st, 22nd, 103rd
+    [
+        /\b(\d+)(?:st|nd|rd|th)\b/g,
+        (match, n) => ordinal(n)
+    ],
+    // Numbered items: #1
+    [
+        /#(\d+)\b/g,
+        (match, n) => `number ${cardinal(n)}`
+    ],
+    // Ranges: 5-10
+    [
+        /\b(\d+)\s?[-–]\s?(\d+)\b/g,
+        (match, a, b) => `${a} to ${b}`
+    ],
+    // Negative numbers: -5
+    [
+        /(^|[\s(])-(?=\d)/g,
+        (match, before) => `${before}minus `
+    ],
+    // Plain numbers; four-digit numbers from 1100 to 2099 read as years
+    [
+        new RegExp(`(?<![\\w.,])${NUMBER}(?![\\w]|[.,]\\d)`, 'g'),
+        (match, integer, fraction) => {
+            if (fraction) return decimal(integer, fraction);
+            if (/^0\d/.test(integer)) return spellDigits(integer);
+            if (/^\d{4}$/.test(integer) && Number(integer) >= 1100 && Number(integer) <= 2099) return year(integer);
+            return cardinal(integer);
+        }
+    ],
+];
+
+/**
+ * Expand numbers and numeric expressions into words, e.g.
+ * "$1,250.50 on 3/14/2025 at 5pm" ->
+ * "one thousand two hundred fifty dollars and fifty cents on March fourteenth, twenty twenty-five at five p m"
+ */
+export function normalizeText(text) {
+    for (const [pattern, replacement] of NORMALIZATION_RULES) {
+        text = text.replace(pattern, replacement);
+    }
+    return text;
+}
+
+/**
+ * Source ranges the rules rewrite, as [start, end] pairs
+ */
+export function normalizationSpans(text) {
+    return NORMALIZATION_RULES.flatMap(([pattern]) => [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]));
+}
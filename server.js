@@ -0,0 +1,275 @@
+// Local speech server with an OpenAI-compatible API on the Node engine:
+//   POST /v1/audio/speech   synthesize { input, voice, speed, response_format }
+//   GET  /v1/voices         voice catalog from assets/voice_styles
+//   GET  /health            model and queue status
+// Requests run one at a time against a single loaded model set.
+
+import { createServer } from 'node:http';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { GenerationCancelledError } from './helper.js';
+import { loadVoiceStyle } from './nodeEngine.js';
+import { encodeWav, encodeFlac, quantize } from './encoders.js';
+import { normalizeLoudness } from './loudness.js';
+import { resolveLanguage } from './languages.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_INPUT_LENGTH = 50000;
+
+// pcm is raw signed 16-bit little-endian mono at the model's sample rate, streamed as chunks are ready
+const RESPONSE_FORMATS = {
+    wav: { contentType: 'audio/wav', encode: (samples, sampleRate) => encodeWav(samples, sampleRate, 'int16') },
+    flac: { contentType: 'audio/flac', encode: (samples, sampleRate) => encodeFlac(samples, sampleRate, 16) },
+    pcm: { contentType: 'audio/pcm', encode: (samples) => pcm16(samples) }
+};
+
+// OpenAI formats there is no encoder for here are answered as WAV, which players detect from the header
+const FALLBACK_FORMATS = { mp3: 'wav', opus: 'wav', aac: 'wav' };
+
+// OpenAI accepts speed 0.25-4; the model sounds natural in 0.5-2, so requests outside that are clamped
+const SPEED_RANGE = { min: 0.25, max: 4, modelMin: 0.5, modelMax: 2 };
+
+class HttpError extends Error {
+    constructor(status, message, param = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.param = param;
+    }
+}
+
+function pcm16(samples) {
+    return Buffer.from(Int16Array.from(quantize(samples, 16)).buffer);
+}
+
+/**
+ * WAV header for a stream of unknown length: the size fields hold the
+ * maximum, which players read as "until the end of the stream"
+ */
+function streamingWavHeader(sampleRate) {
+    const header = Buffer.from(encodeWav(new Float32Array(0), sampleRate, 'int16'));
+    header.writeUInt32LE(0xFFFFFFFF, 4);
+    header.writeUInt32LE(0xFFFFFFFF, 40);
+    return header;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Errors use the OpenAI error shape so existing clients surface the message
+function sendError(res, error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+    sendJson(res, status, {
+        error: {
+            message: error.message,
+            type: status < 500 ? 'invalid_request_error' : 'server_error',
+            param: error.param ?? null,
+            code: null
+        }
+    });
+}
+
+async function readJsonBody(req) {
+    const parts = [];
+    let size = 0;
+    for await (const part of req) {
+        size += part.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+        }
+        parts.push(part);
+    }
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(parts).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+    }
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+function numberParam(body, name, fallback, min, max, integer = false) {
+    const value = body[name] ?? fallback;
+    if (value === null) {
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        throw new HttpError(400, `${name} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`, name);
+    }
+    return value;
+}
+
+/**
+ * Create the HTTP server. defaults holds totalStep, batchSize and
+ * loudnessTarget for requests that do not set them.
+ */
+export function createSpeechServer({ textToSpeech, assetsDir, defaults = {} }) {
+    const voiceDir = path.join(assetsDir, 'voice_styles');
+    const voiceStyles = new Map();
+    const { totalStep = 5, batchSize = 1, loudnessTarget = null } = defaults;
+
+    let queue = Promise.resolve();
+    let pending = 0;
+
+    // One synthesis at a time: the sessions are shared and not safe to run concurrently
+    function enqueue(task) {
+        pending++;
+        const run = queue.then(task).finally(() => {
+            pending--;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function listVoices() {
+        const files = await readdir(voiceDir).catch(() => []);
+        return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+    }
+
+    async function getVoiceStyle(voice) {
+        if (typeof voice !== 'string' || !voice) {
+            throw new HttpError(400, 'voice is required', 'voice');
+        }
+        if (!voiceStyles.has(voice)) {
+            const voices = await listVoices();
+            if (!voices.includes(voice)) {
+                throw new HttpError(400, `Unknown voice "${voice}". Available: ${voices.join(', ')}`, 'voice');
+            }
+            voiceStyles.set(voice, await loadVoiceStyle([path.join(voiceDir, `${voice}.json`)]));
+        }
+        return voiceStyles.get(voice);
+    }
+
+    async function handleSpeech(req, res) {
+        const body = await readJsonBody(req);
+        if (typeof body.input !== 'string' || !body.input.trim()) {
+            throw new HttpError(400, 'input must be a non-empty string', 'input');
+        }
+        if (body.input.length > MAX_INPUT_LENGTH) {
+            throw new HttpError(400, `input is longer than ${MAX_INPUT_LENGTH} characters`, 'input');
+        }
+        const requestedFormat = body.response_format ?? 'wav';
+        const responseFormat = FALLBACK_FORMATS[requestedFormat] ?? requestedFormat;
+        if (!RESPONSE_FORMATS[responseFormat]) {
+            throw new HttpError(400, `Unsupported response_format "${requestedFormat}". Available: ${[...Object.keys(RESPONSE_FORMATS), ...Object.keys(FALLBACK_FORMATS)].join(', ')}`, 'response_format');
+        }
+        const style = await getVoiceStyle(body.voice);
+        const speed = Math.min(Math.max(numberParam(body, 'speed', 1.05, SPEED_RANGE.min, SPEED_RANGE.max), SPEED_RANGE.modelMin), SPEED_RANGE.modelMax);
+        // Extensions beyond the OpenAI request
+        const steps = numberParam(body, 'steps', totalStep, 1, 50, true);
+        const seed = numberParam(body, 'seed', null, 0, 0xFFFFFFFF, true);
+        const target = numberParam(body, 'loudness', loudnessTarget, -70, 0);
+        const language = body.language ?? 'auto';
+        try {
+            resolveLanguage(language, body.input);
+        } catch (error) {
+            throw new HttpError(400, error.message, 'language');
+        }
+        // pcm always streams; wav streams when asked, at the cost of loudness normalization
+        const stream = responseFormat === 'pcm' || (responseFormat === 'wav' && body.stream === true);
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+
+        await enqueue(async () => {
+            const { sampleRate } = textToSpeech;
+            let chunkCallback = null;
+            if (stream) {
+                res.writeHead(200, {
+                    'Content-Type': RESPONSE_FORMATS[responseFormat].contentType,
+                    'Transfer-Encoding': 'chunked',
+                    'X-Sample-Rate': String(sampleRate)
+                });
+                if (responseFormat === 'wav') {
+                    res.write(streamingWavHeader(sampleRate));
+                }
+                chunkCallback = (chunkWav, chunkDuration, chunkIndex, totalChunks, leadingSilence) => {
+                    res.write(pcm16(new Float32Array(Math.floor(leadingSilence * sampleRate))));
+                    res.write(pcm16(chunkWav));
+                };
+            }
+
+            const result = await textToSpeech.call(
+                body.input, style, steps, speed, undefined, null, chunkCallback, controller.signal, seed, batchSize, language
+            );
+            if (stream) {
+                res.end();
+                return;
+            }
+
+            const wavLen = Math.floor(sampleRate * result.duration[0]);
+            const { samples } = normalizeLoudness(result.wav.slice(0, wavLen), sampleRate, target);
+            const encoded = Buffer.from(await RESPONSE_FORMATS[responseFormat].encode(samples, sampleRate));
+            res.writeHead(200, {
+                'Content-Type': RESPONSE_FORMATS[responseFormat].contentType,
+                'Content-Length': encoded.length,
+                'X-Sample-Rate': String(sampleRate),
+                'X-Seed': String(result.seed)
+            });
+            res.end(encoded);
+        });
+    }
+
+    const routes = {
+        'GET /health': async (req, res) => sendJson(res, 200, {
+            status: 'ok',
+            modelVersion: textToSpeech.modelVersion,
+            sampleRate: textToSpeech.sampleRate,
+            queue: pending
+        }),
+        'GET /v1/voices': async (req, res) => sendJson(res, 200, {
+            object: 'list',
+            data: (await listVoices()).map(id => ({ id, object: 'voice', name: id }))
+        }),
+        'POST /v1/audio/speech': handleSpeech
+    };
+
+    return createServer(async (req, res) => {
+        // Local tools and pages on other ports call the API directly
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS' });
+            res.end();
+            return;
+        }
+
+        try {
+            // A request line that is not a valid URL must not take down the shared server
+            let pathname;
+            try {
+                pathname = new URL(req.url, 'http://localhost').pathname;
+            } catch (error) {
+                throw new HttpError(400, `Invalid request URL: ${req.url}`);
+            }
+            const route = routes[`${req.method} ${pathname}`];
+            if (!route) {
+                throw new HttpError(404, `No route for ${req.method} ${req.url}`);
+            }
+            await route(req, res);
+        } catch (error) {
+            // A client that hung up has nobody left to tell
+            if (error instanceof GenerationCancelledError) {
+                res.destroy();
+                return;
+            }
+            if (!(error instanceof HttpError)) {
+                console.error('Speech request failed:', error);
+            }
+            sendError(res, error);
+        }
+    });
+}
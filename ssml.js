@@ -0,0 +1,290 @@
+// SSML subset compiler: <speak>, <p>, <s>, <break>, <prosody rate> and <voice name>
+
+const SUPPORTED_TAGS = new Set(['speak', 'p', 's', 'break', 'prosody', 'voice']);
+const TAG_NAME_PATTERN = /^[A-Za-z][\w:-]*/;
+const ATTRIBUTE_PATTERN = /^([A-Za-z][\w:-]*)\s*=\s*("([^"]*)"|'([^']*)')/;
+const TIME_PATTERN = /^(\d+(?:\.\d+)?|\.\d+)(ms|s)$/;
+const RATE_PATTERN = /^([+-]?\d+(?:\.\d+)?|[+-]?\.\d+)(%?)$/;
+const WHITESPACE_PATTERN = /\s+/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const BREAK_STRENGTHS = { 'none': 0, 'x-weak': 0.1, 'weak': 0.2, 'medium': 0.4, 'strong': 0.7, 'x-strong': 1.0 };
+const RATE_KEYWORDS = { 'x-slow': 0.6, 'slow': 0.8, 'medium': 1.0, 'default': 1.0, 'fast': 1.2, 'x-fast': 1.4 };
+
+/**
+ * Error raised for malformed markup; carries the offending position
+ */
+export class SsmlError extends Error {
+    constructor(message, markup, position) {
+        const { line, column } = locate(markup, position);
+        const snippet = markup.slice(position, position + 24).split('\n')[0];
+        super(`Line ${line}, column ${column}: ${message}${snippet ? ` (near "${snippet}")` : ''}`);
+        this.name = 'SsmlError';
+        this.position = position;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+function locate(markup, position) {
+    const before = markup.slice(0, position).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function decodeEntities(text, markup, offset) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity, index) => {
+        if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+        if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+        if (entity in ENTITIES) return ENTITIES[entity];
+        throw new SsmlError(`Unknown entity ${match}`, markup, offset + index);
+    });
+}
+
+/**
+ * Split markup into text and tag tokens, each with its source position
+ */
+function tokenize(markup) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < markup.length) {
+        const lt = markup.indexOf('<', pos);
+        if (lt === -1 || lt > pos) {
+            const end = lt === -1 ? markup.length : lt;
+            tokens.push({ type: 'text', text: decodeEntities(markup.slice(pos, end), markup, pos), position: pos });
+            pos = end;
+            continue;
+        }
+
+        // Comments and the XML declaration are skipped
+        if (markup.startsWith('<!--', pos) || markup.startsWith('<?', pos)) {
+            const terminator = markup.startsWith('<!--', pos) ? '-->' : '?>';
+            const end = markup.indexOf(terminator, pos);
+            if (end === -1) {
+                throw new SsmlError(`Unterminated ${terminator === '-->' ? 'comment' : 'declaration'}`, markup, pos);
+            }
+            pos = end + terminator.length;
+            continue;
+        }
+
+        const gt = markup.indexOf('>', pos);
+        const nextLt = markup.indexOf('<', pos + 1);
+        if (gt === -1 || (nextLt !== -1 && nextLt < gt)) {
+            throw new SsmlError('Unterminated tag, expected ">"', markup, pos);
+        }
+        tokens.push(parseTag(markup, pos, gt));
+        pos = gt + 1;
+    }
+
+    return tokens;
+}
+
+function parseTag(markup, start, end) {
+    let body = markup.slice(start + 1, end);
+    let offset = start + 1;
+
+    const closing = body.startsWith('/');
+    if (closing) {
+        body = body.slice(1);
+        offset++;
+    }
+    const selfClosing = !closing && body.trimEnd().endsWith('/');
+    if (selfClosing) {
+        body = body.trimEnd().slice(0, -1);
+    }
+
+    const nameMatch = body.match(TAG_NAME_PATTERN);
+    if (!nameMatch) {
+        throw new SsmlError('Expected a tag name after "<"', markup, start);
+    }
+    const name = nameMatch[0];
+    if (!SUPPORTED_TAGS.has(name)) {
+        throw new SsmlError(`Unsupported tag <${name}>, expected one of ${[...SUPPORTED_TAGS].map(t => `<${t}>`).join(', ')}`, markup, start);
+    }
+
+    const attributes = {};
+    let rest = body.slice(name.length);
+    let restOffset = offset + name.length;
+    while (rest.trim()) {
+        const leading = rest.length - rest.trimStart().length;
+        rest = rest.trimStart();
+        restOffset += leading;
+
+        const attrMatch = rest.match(ATTRIBUTE_PATTERN);
+        if (!attrMatch) {
+            throw new SsmlError(`Malformed attribute in <${name}>, expected name="value"`, markup, restOffset);
+        }
+        if (closing) {
+            throw new SsmlError(`Closing tag </${name}> cannot have attributes`, markup, restOffset);
+        }
+        attributes[attrMatch[1]] = {
+            value: decodeEntities(attrMatch[3] ?? attrMatch[4], markup, restOffset),
+            position: restOffset
+        };
+        rest = rest.slice(attrMatch[0].length);
+        restOffset += attrMatch[0].length;
+    }
+
+    return { type: closing ? 'close' : 'open', name, attributes, selfClosing, position: start };
+}
+
+function parseBreak(attributes, markup, position) {
+    if (attributes.time) {
+        const match = attributes.time.value.trim().match(TIME_PATTERN);
+        if (!match) {
+            throw new SsmlError(`Invalid break time "${attributes.time.value}", expected e.g. "500ms" or "1.5s"`, markup, attributes.time.position);
+        }
+        const value = parseFloat(match[1]);
+        return match[2] === 'ms' ? value / 1000 : value;
+    }
+    if (attributes.strength) {
+        const strength = attributes.strength.value.trim();
+        if (!(strength in BREAK_STRENGTHS)) {
+            throw new SsmlError(`Invalid break strength "${strength}", expected one of ${Object.keys(BREAK_STRENGTHS).join(', ')}`, markup, attributes.strength.position);
+        }
+        return BREAK_STRENGTHS[strength];
+    }
+    return BREAK_STRENGTHS.medium;
+}
+
+function parseRate(attribute, markup) {
+    const value = attribute.value.trim();
+    if (value in RATE_KEYWORDS) {
+        return RATE_KEYWORDS[value];
+    }
+
+    const match = value.match(RATE_PATTERN);
+    let rate = null;
+    if (match) {
+        const number = parseFloat(match[1]);
+        const relative = /^[+-]/.test(match[1]);
+        if (match[2] === '%') {
+            rate = relative ? 1 + number / 100 : number / 100;
+        } else if (!relative) {
+            rate = number;
+        }
+    }
+    if (rate === null || !(rate > 0)) {
+        throw new SsmlError(`Invalid prosody rate "${value}", expected e.g. "0.9", "90%", "+10%" or "slow"`, markup, attribute.position);
+    }
+    return rate;
+}
+
+/**
+ * Compile SSML into a sequence of segments:
+ *   { text, speed, voice }  speech, voice is a voice name or null for the selected voice
+ *   { silence }             pause in seconds
+ * <s> and <p> boundaries insert sentencePause/paragraphPause; an explicit
+ * <break> at a boundary replaces the automatic pause. Speech split only by an
+ * inline <prosody> or <voice> gets wordGap, since each segment is synthesized
+ * and trimmed on its own.
+ */
+export function parseSsml(markup, { speed = 1.05, sentencePause = 0.3, paragraphPause = 0.6, wordGap = 0.12 } = {}) {
+    const tokens = tokenize(markup);
+    const stack = [];
+    const segments = [];
+    let state = { speed, voice: null };
+    let textBuffer = '';
+    let pause = null;
+
+    const flushText = () => {
+        const text = textBuffer.replace(WHITESPACE_PATTERN, ' ').trim();
+        textBuffer = '';
+        if (!text) return;
+
+        if (pause && segments.length > 0) {
+            segments.push({ silence: pause.explicit > 0 ? pause.explicit : pause.implicit });
+        } else if (pause?.explicit > 0) {
+            segments.push({ silence: pause.explicit });
+        } else if (!pause && segments.length > 0 && segments[segments.length - 1].text !== undefined) {
+            segments.push({ silence: wordGap });
+        }
+        pause = null;
+        segments.push({ text, speed: state.speed, voice: state.voice });
+    };
+
+    const addPause = (seconds, explicit) => {
+        flushText();
+        pause = pause || { explicit: 0, implicit: 0 };
+        if (explicit) {
+            pause.explicit += seconds;
+        } else {
+            pause.implicit = Math.max(pause.implicit, seconds);
+        }
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            textBuffer += token.text;
+            continue;
+        }
+
+        const { name, attributes, position } = token;
+
+        if (token.type === 'close') {
+            const open = stack.pop();
+            if (!open) {
+                throw new SsmlError(`Unexpected closing tag </${name}>`, markup, position);
+            }
+            if (open.name !== name) {
+                throw new SsmlError(`Expected </${open.name}> but found </${name}>`, markup, position);
+            }
+            flushText();
+            state = open.previousState;
+            if (name === 's') addPause(sentencePause, false);
+            if (name === 'p') addPause(paragraphPause, false);
+            continue;
+        }
+
+        if (name === 'break') {
+            if (!token.selfClosing) {
+                throw new SsmlError('<break> must be self-closing, e.g. <break time="500ms"/>', markup, position);
+            }
+            addPause(parseBreak(attributes, markup, position), true);
+            continue;
+        }
+
+        if (token.selfClosing) {
+            // An empty element has no effect
+            continue;
+        }
+        if (name === 'speak' && stack.length > 0) {
+            throw new SsmlError('<speak> is only allowed as the outermost element', markup, position);
+        }
+
+        flushText();
+        stack.push({ name, position, previousState: state });
+
+        if (name === 'prosody') {
+            if (!attributes.rate) {
+                throw new SsmlError('<prosody> needs a rate attribute', markup, position);
+            }
+            state = { ...state, speed: state.speed * parseRate(attributes.rate, markup) };
+        } else if (name === 'voice') {
+            const voice = attributes.name?.value.trim();
+            if (!voice) {
+                throw new SsmlError('<voice> needs a name attribute, e.g. <voice name="F1">', markup, position);
+            }
+            state = { ...state, voice };
+        } else if (name === 's' || name === 'p') {
+            addPause(name === 's' ? sentencePause : paragraphPause, false);
+        }
+    }
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        throw new SsmlError(`<${open.name}> is never closed`, markup, open.position);
+    }
+
+    flushText();
+
+    // Keep an explicit trailing break; automatic pauses only go between speech
+    if (pause?.explicit > 0) {
+        segments.push({ silence: pause.explicit });
+    }
+    if (!segments.some(segment => segment.text)) {
+        throw new SsmlError('The markup contains no text to speak', markup, 0);
+    }
+
+    return segments;
+}
@@ -0,0 +1,77 @@
+// Subtitle export: turn a synthesis timeline into SRT or WebVTT captions
+
+const MAX_LINE_LENGTH = 42;
+const WHITESPACE_PATTERN = /\s+/;
+const VTT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+export const SUBTITLE_FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' }
+};
+
+/**
+ * Format seconds as HH:MM:SS plus milliseconds after the given separator
+ */
+export function formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Break cue text into lines of at most MAX_LINE_LENGTH characters at word boundaries.
+ * Text without spaces (Japanese, Chinese) is kept on one line.
+ */
+function wrapCueText(text) {
+    const lines = [];
+    let line = '';
+    for (const word of text.trim().split(WHITESPACE_PATTERN)) {
+        if (line && line.length + 1 + word.length > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+function usableCues(timeline) {
+    return timeline.filter(cue => cue.text.trim() && cue.end > cue.start);
+}
+
+/**
+ * SubRip captions; dialogue cues are prefixed with the speaker's name
+ */
+export function toSrt(timeline) {
+    return usableCues(timeline).map((cue, i) => {
+        const text = cue.speaker !== undefined ? `${cue.speaker}: ${cue.text}` : cue.text;
+        return `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${wrapCueText(text)}\n`;
+    }).join('\n');
+}
+
+/**
+ * WebVTT captions; dialogue cues carry the speaker as a <v> voice span
+ */
+export function toVtt(timeline) {
+    const cues = usableCues(timeline).map((cue) => {
+        const text = wrapCueText(cue.text).replace(/[&<>]/g, char => VTT_ESCAPES[char]);
+        const voice = cue.speaker !== undefined ? `<v ${cue.speaker}>` : '';
+        return `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${voice}${text}\n`;
+    });
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export function formatSubtitles(timeline, format) {
+    if (!SUBTITLE_FORMATS[format]) {
+        throw new Error(`Unsupported subtitle format "${format}". Available: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`);
+    }
+    return format === 'srt' ? toSrt(timeline) : toVtt(timeline);
+}
@@ -0,0 +1,241 @@
+// Promise-based client for the TTS worker: model loading with the WebGPU-then-WASM
+// fallback, voices, queued generation and cancellation, with progress as events.
+//
+//   const tts = await Supertonic.create({ basePath: 'assets/onnx', voice: 'assets/voice_styles/F1.json' });
+//   tts.addEventListener('progress', e => console.log(e.detail.stage));
+//   const { pcm, sampleRate } = await tts.speak('Hello!', { steps: 8 });
+
+import { GenerationCancelledError } from './errors.js';
+import { encodeWav } from './encoders.js';
+
+const DEFAULT_EXECUTION_PROVIDERS = ['webgpu', 'wasm'];
+
+/**
+ * Events:
+ *   progress  detail is the worker's progress payload plus its request id; stage is
+ *             'loading' (model download), 'queued', 'started' or 'denoising'
+ *   chunk     detail is a streamed chunk { id, pcm, sampleRate, leadingSilence, text, ... }
+ *   error     the worker itself failed; every pending request is rejected
+ */
+export class Supertonic extends EventTarget {
+    /**
+     * Start a worker, load the models and optionally a voice. Listeners that need
+     * the model loading progress can be passed as onProgress.
+     */
+    static async create({ basePath = 'assets/onnx', voice = null, executionProviders = DEFAULT_EXECUTION_PROVIDERS, onProgress = null } = {}) {
+        const client = new Supertonic();
+        if (onProgress) {
+            client.addEventListener('progress', event => onProgress(event.detail));
+        }
+        try {
+            await client.init({ basePath, executionProviders });
+            if (voice) {
+                await client.loadVoice(voice);
+            }
+        } catch (error) {
+            client.terminate();
+            throw error;
+        }
+        return client;
+    }
+
+    constructor() {
+        super();
+        this.worker = new Worker(new URL('./tts.worker.js', import.meta.url), { type: 'module' });
+        this.nextId = 0;
+        this.callbacks = new Map();
+        // Generate requests still fetching their voice, not yet sent to the worker
+        this.waitingForVoice = new Set();
+        this.styleJsonCache = new Map();
+        this.executionProvider = null;
+        this.sampleRate = null;
+        this.styleShapes = null;
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (event) => {
+            const error = new Error(event.message || 'TTS worker failed');
+            for (const { reject } of this.callbacks.values()) {
+                reject(error);
+            }
+            this.callbacks.clear();
+            this.waitingForVoice.clear();
+            this.dispatchEvent(new CustomEvent('error', { detail: error }));
+        };
+    }
+
+    handleMessage({ type, id, payload }) {
+        if (type === 'progress') {
+            this.dispatchEvent(new CustomEvent('progress', { detail: { id, ...payload } }));
+            return;
+        }
+
+        const callback = this.callbacks.get(id);
+        if (type === 'chunk') {
+            callback?.onChunk?.(payload);
+            this.dispatchEvent(new CustomEvent('chunk', { detail: { id, ...payload } }));
+            return;
+        }
+
+        if (callback) {
+            if (type === 'error') {
+                callback.reject(payload.name === 'GenerationCancelledError'
+                    ? new GenerationCancelledError(payload.message)
+                    : new Error(payload.message));
+            } else {
+                callback.resolve(payload);
+            }
+            this.callbacks.delete(id);
+        }
+    }
+
+    /**
+     * Send a raw worker message. Returns its id, for cancel(), and a promise of the reply payload.
+     */
+    request(type, payload, { onChunk = null } = {}) {
+        const id = ++this.nextId;
+        const promise = new Promise((resolve, reject) => {
+            this.callbacks.set(id, { resolve, reject, onChunk });
+            this.worker.postMessage({ type, payload, id });
+        });
+        return { id, promise };
+    }
+
+    send(type, payload) {
+        return this.request(type, payload).promise;
+    }
+
+    /**
+     * Load the models with the first execution provider that works
+     */
+    async init({ basePath = 'assets/onnx', executionProviders = DEFAULT_EXECUTION_PROVIDERS } = {}) {
+        let lastError = null;
+        for (const provider of executionProviders) {
+            try {
+                const result = await this.send('init', {
+                    basePath,
+                    sessionOptions: {
+                        executionProviders: [provider],
+                        graphOptimizationLevel: 'all'
+                    }
+                });
+                this.executionProvider = result.executionProvider;
+                this.sampleRate = result.sampleRate;
+                this.styleShapes = result.styleShapes;
+                return result;
+            } catch (error) {
+                console.log(`${provider} not available:`, error.message);
+                lastError = error;
+            }
+        }
+        throw lastError ?? new Error('No execution provider given');
+    }
+
+    /**
+     * Voice style JSON for a voice option: a URL is fetched once, an object is used as is
+     */
+    async resolveVoice(voice) {
+        if (typeof voice !== 'string') {
+            return voice;
+        }
+        if (!this.styleJsonCache.has(voice)) {
+            const response = await fetch(voice);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${voice} (${response.status})`);
+            }
+            this.styleJsonCache.set(voice, await response.json());
+        }
+        return this.styleJsonCache.get(voice);
+    }
+
+    /**
+     * Make a voice the default for later requests: a voice style URL, or style JSON with a name for it
+     */
+    loadVoice(voice, name = 'custom') {
+        return this.send('loadStyle', typeof voice === 'string' ? { stylePath: voice } : { stylePath: name, voiceStyle: voice });
+    }
+
+    /**
+     * Queue a synthesis and return its id, for cancel(), and a promise of the result
+     * ({ pcm, sampleRate, duration, seed, timeline, loudness, ... }).
+     * Options: voice (URL or style JSON, for this request only) and voiceName, steps, speed, pauses,
+     * seed, language, batchSize, loudnessTarget, priority, persistCache, stream and
+     * onChunk for streamed chunks; turns, segments, voices and turnGap for dialogue and SSML.
+     */
+    generate(text, options = {}) {
+        const { voice, voiceName = typeof voice === 'string' ? voice : 'custom', steps = 5, onChunk = null, ...settings } = options;
+        if (!voice) {
+            return this.request('generate', { text, totalStep: steps, ...settings }, { onChunk });
+        }
+
+        // Fetching the voice is async; hand back the id now so the request can be cancelled while it waits
+        const id = ++this.nextId;
+        const promise = new Promise((resolve, reject) => {
+            this.callbacks.set(id, { resolve, reject, onChunk });
+        });
+        this.waitingForVoice.add(id);
+        this.resolveVoice(voice).then((voiceStyle) => {
+            if (!this.waitingForVoice.delete(id)) {
+                return;
+            }
+            this.worker.postMessage({
+                type: 'generate',
+                id,
+                payload: { text, totalStep: steps, ...settings, voiceStyle, stylePath: voiceName }
+            });
+        }, (error) => {
+            if (this.waitingForVoice.delete(id)) {
+                this.callbacks.get(id)?.reject(error);
+                this.callbacks.delete(id);
+            }
+        });
+        return { id, promise };
+    }
+
+    speak(text, options = {}) {
+        return this.generate(text, options).promise;
+    }
+
+    /**
+     * Cancel a queued or running request; its promise rejects with GenerationCancelledError
+     */
+    async cancel(id) {
+        if (this.waitingForVoice.delete(id)) {
+            this.callbacks.get(id)?.reject(new GenerationCancelledError());
+            this.callbacks.delete(id);
+            return { requestId: id, found: true };
+        }
+        return this.send('cancel', { requestId: id });
+    }
+
+    async setLexicon(lexicon) {
+        return (await this.send('setLexicon', { lexicon })).count;
+    }
+
+    async normalizeText(text, language = 'auto') {
+        return (await this.send('normalizeText', { text, language })).text;
+    }
+
+    async analyzeText(text, language = 'auto') {
+        return (await this.send('analyzeText', { text, language })).issues;
+    }
+
+    clearCache() {
+        return this.send('clearCache', {});
+    }
+
+    terminate() {
+        this.worker.terminate();
+        for (const { reject } of this.callbacks.values()) {
+            reject(new GenerationCancelledError('TTS client was terminated'));
+        }
+        this.callbacks.clear();
+        this.waitingForVoice.clear();
+    }
+
+    /**
+     * 16-bit WAV blob of a generate result, e.g. for an <audio> element
+     */
+    static toWavBlob({ pcm, sampleRate }) {
+        return new Blob([encodeWav(pcm, sampleRate, 'int16')], { type: 'audio/wav' });
+    }
+}
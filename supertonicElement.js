@@ -0,0 +1,210 @@
+// <supertonic-tts> custom element: a Speak/Stop button, progress and an audio player
+// around the Supertonic client, for pages that want TTS without this demo's UI.
+//
+//   <script type="module" src="supertonicElement.js"></script>
+//   <supertonic-tts voice="F1" steps="8">Hello from Supertonic!</supertonic-tts>
+//
+// Attributes: text (else the element's text content), voice (a preset name from
+// voices-path, or a voice style JSON URL), steps, speed, base-path and voices-path.
+// Events: ready, progress, generated (detail is the generate result) and error.
+
+import { Supertonic } from './supertonic.js';
+import { GenerationCancelledError } from './errors.js';
+
+const TEMPLATE = `
+<style>
+    :host { display: block; font: inherit; }
+    .row { display: flex; align-items: center; gap: 0.5rem; }
+    button { font: inherit; padding: 0.4rem 0.9rem; cursor: pointer; }
+    button:disabled { cursor: default; opacity: 0.6; }
+    .status { font-size: 0.85em; opacity: 0.8; }
+    progress { width: 100%; margin-top: 0.4rem; }
+    audio { width: 100%; margin-top: 0.4rem; }
+    [hidden] { display: none; }
+</style>
+<div class="row" part="controls">
+    <button part="button" type="button">Speak</button>
+    <span class="status" part="status"></span>
+</div>
+<progress part="progress" max="1" value="0" hidden></progress>
+<audio part="audio" controls hidden></audio>
+`;
+
+export class SupertonicTTSElement extends HTMLElement {
+    // One client per model path, so several elements on a page share the loaded models
+    static clients = new Map();
+    // Elements waiting for a client that is still loading, to show its download progress
+    static loading = new Map();
+
+    static getClient(basePath) {
+        if (!SupertonicTTSElement.clients.has(basePath)) {
+            const client = Supertonic.create({
+                basePath,
+                onProgress: detail => SupertonicTTSElement.loading.get(basePath)?.forEach(element => element.handleProgress(detail))
+            });
+            // A failed load is retried by the next element that asks
+            client.catch(() => SupertonicTTSElement.clients.delete(basePath));
+            SupertonicTTSElement.clients.set(basePath, client);
+        }
+        return SupertonicTTSElement.clients.get(basePath);
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+        this.button = this.shadowRoot.querySelector('button');
+        this.statusText = this.shadowRoot.querySelector('.status');
+        this.progressBar = this.shadowRoot.querySelector('progress');
+        this.audio = this.shadowRoot.querySelector('audio');
+        this.client = null;
+        this.requestId = null;
+        this.audioUrl = null;
+        this.onClientProgress = (event) => this.handleProgress(event.detail);
+
+        this.button.addEventListener('click', () => {
+            if (this.requestId !== null) {
+                this.stop();
+            } else {
+                this.speak().catch(() => {});
+            }
+        });
+    }
+
+    get basePath() {
+        return this.getAttribute('base-path') ?? 'assets/onnx';
+    }
+
+    get voicesPath() {
+        return this.getAttribute('voices-path') ?? 'assets/voice_styles';
+    }
+
+    // Bare names are presets; anything with a slash or .json is a style URL
+    get voice() {
+        const voice = this.getAttribute('voice') ?? 'M1';
+        return voice.includes('/') || voice.endsWith('.json') ? voice : `${this.voicesPath}/${voice}.json`;
+    }
+
+    get text() {
+        return (this.getAttribute('text') ?? this.textContent).trim();
+    }
+
+    disconnectedCallback() {
+        this.stop();
+        this.client?.removeEventListener('progress', this.onClientProgress);
+        this.client = null;
+    }
+
+    setStatus(message) {
+        this.statusText.textContent = message;
+    }
+
+    async ready() {
+        if (!this.client) {
+            this.setStatus('Loading models...');
+            this.progressBar.hidden = false;
+            const basePath = this.basePath;
+            const { loading } = SupertonicTTSElement;
+            if (!loading.has(basePath)) {
+                loading.set(basePath, new Set());
+            }
+            loading.get(basePath).add(this);
+            let client;
+            try {
+                client = await SupertonicTTSElement.getClient(basePath);
+            } finally {
+                loading.get(basePath).delete(this);
+            }
+            if (!this.client) {
+                this.client = client;
+                client.addEventListener('progress', this.onClientProgress);
+                this.dispatchEvent(new CustomEvent('ready', { detail: { executionProvider: client.executionProvider } }));
+            }
+        }
+        return this.client;
+    }
+
+    handleProgress(detail) {
+        // Model loading is shared; generation progress only for this element's request
+        if (detail.stage !== 'loading' && detail.id !== this.requestId) {
+            return;
+        }
+        if (detail.stage === 'loading') {
+            this.progressBar.value = detail.totalBytes ? detail.loaded / detail.totalBytes : 0;
+            this.setStatus(`Loading models (${detail.current}/${detail.total})...`);
+        } else if (detail.stage === 'queued') {
+            this.setStatus(`Queued (${detail.position}/${detail.queueLength})`);
+        } else if (detail.stage === 'denoising') {
+            this.progressBar.value = detail.overallProgress;
+            this.setStatus(`Chunk ${detail.chunkIndex}/${detail.totalChunks}`);
+        }
+        this.dispatchEvent(new CustomEvent('progress', { detail }));
+    }
+
+    /**
+     * Synthesize text (default: the element's text) and play it.
+     * Resolves to the generate result; rejects with GenerationCancelledError when stopped.
+     */
+    async speak(text = this.text) {
+        if (!text) {
+            throw new Error('Nothing to speak');
+        }
+        this.stop();
+        this.button.disabled = true;
+        let request = null;
+        try {
+            const client = await this.ready();
+            request = client.generate(text, {
+                voice: this.voice,
+                steps: Number(this.getAttribute('steps') ?? 5),
+                speed: Number(this.getAttribute('speed') ?? 1.05)
+            });
+            this.requestId = request.id;
+            this.button.textContent = 'Stop';
+            this.button.disabled = false;
+            this.progressBar.value = 0;
+            this.progressBar.hidden = false;
+            this.setStatus('Generating...');
+
+            const result = await request.promise;
+            if (this.audioUrl) {
+                URL.revokeObjectURL(this.audioUrl);
+            }
+            this.audioUrl = URL.createObjectURL(Supertonic.toWavBlob(result));
+            this.audio.src = this.audioUrl;
+            this.audio.hidden = false;
+            this.setStatus(`${result.duration.toFixed(2)}s of audio`);
+            this.audio.play().catch(() => {});
+            this.dispatchEvent(new CustomEvent('generated', { detail: result }));
+            return result;
+        } catch (error) {
+            if (error instanceof GenerationCancelledError) {
+                if (this.requestId === request?.id) {
+                    this.setStatus('Stopped');
+                }
+            } else {
+                this.setStatus(`Error: ${error.message}`);
+                this.dispatchEvent(new CustomEvent('error', { detail: error }));
+            }
+            throw error;
+        } finally {
+            // A newer speak() may already own the controls
+            if (request === null || this.requestId === request.id) {
+                this.requestId = null;
+                this.button.textContent = 'Speak';
+                this.button.disabled = false;
+                this.progressBar.hidden = true;
+            }
+        }
+    }
+
+    stop() {
+        if (this.requestId !== null) {
+            this.client.cancel(this.requestId);
+        }
+        this.audio.pause();
+    }
+}
+
+if (!customElements.get('supertonic-tts')) {
+    customElements.define('supertonic-tts', SupertonicTTSElement);
+}
@@ -1,13 +1,21 @@
 import * as ort from 'onnxruntime-web';
+import { applyLexicon, compileLexicon, lexiconSpans, validateLexicon } from './lexicon.js';
+import { normalizationSpans, normalizeText } from './normalizer.js';
+import { getLanguageRules, resolveLanguage } from './languages.js';
+import { DEFAULT_PAUSES, applyFades, boundaryAfter, joinChunks, resolvePauses, trimSilence } from './joins.js';
+import { normalizeLoudness } from './loudness.js';
+import { ChunkCache, chunkCacheKey } from './chunkCache.js';
+import { fetchModel, modelVersion } from './modelStore.js';
+import { createRng } from './encoders.js';
+import { GenerationCancelledError } from './errors.js';
 
 // Pre-compiled regex patterns for performance
 const EMOJI_PATTERN = /[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E6}-\u{1F1FF}]+/gu;
-const DIACRITICS_PATTERN = /[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g;
 const SPECIAL_SYMBOLS_PATTERN = /[♥☆♡©\\]/g;
 const SPACING_PUNCTUATION_PATTERN = / ([,.!?;:'])/g;
 const MULTIPLE_SPACES_PATTERN = /\s+/g;
-const ENDING_PUNCTUATION_PATTERN = /[.!?;:,'"')\]}…。」』】〉》›»]$/;
-const SENTENCE_SPLIT_PATTERN = /(?<!Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sr\.|Jr\.|Ph\.D\.|etc\.|e\.g\.|i\.e\.|vs\.|Inc\.|Ltd\.|Co\.|Corp\.|St\.|Ave\.|Blvd\.)(?<!\b[A-Z]\.)(?<=[.!?])\s+/;
+// Clause breaks for sentences too long for one chunk; full-width punctuation needs no space after it
+const CLAUSE_SPLIT_PATTERN = /(?<=[,;:—])\s+|(?<=[、，；：])/;
 
 // Character replacement maps
 const CHAR_REPLACEMENTS = {
@@ -16,23 +24,56 @@ const CHAR_REPLACEMENTS = {
     '´': "'", '`': "'", '[': ' ', ']': ' ', '|': ' ',
     '/': ' ', '#': ' ', '→': ' ', '←': ' ',
 };
-const EXPR_REPLACEMENTS = {
-    '@': ' at ',
-    'e.g.,': 'for example, ',
-    'i.e.,': 'that is, ',
-};
 const DUPLICATE_QUOTES = [['""', '"'], ["''", "'"], ['``', '`']];
 
+// Pre-flight analysis: why a character is not spoken as written
+const ANALYSIS_MESSAGES = {
+    emoji: 'Emoji are removed',
+    symbol: 'Symbol is removed',
+    replaced: 'Replaced with a space',
+    diacritic: 'Accent is removed',
+    unknown: "Not in the model's character set, sent as unknown",
+};
+
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new GenerationCancelledError();
+    }
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derive a per-chunk seed from the request seed and the chunk text (FNV-1a),
+ * so a chunk's noise does not depend on where it sits in the text
+ */
+function deriveSeed(seed, text) {
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
 /**
  * Unicode Text Processor
  */
 class UnicodeProcessor {
     constructor(indexer) {
         this.indexer = indexer;
+        this.lexicon = [];
+    }
+
+    setLexicon(lexicon) {
+        this.lexicon = compileLexicon(validateLexicon(lexicon));
+        return this.lexicon.length;
     }
 
-    call(textList) {
-        const processedTexts = textList.map(text => this.preprocessText(text));
+    call(textList, language = 'en') {
+        const processedTexts = textList.map(text => this.preprocessText(text, language));
         const textIdsLengths = processedTexts.map(text => text.length);
         const maxLen = Math.max(...textIdsLengths);
 
@@ -49,7 +90,14 @@ class UnicodeProcessor {
         return { textIds, textMask };
     }
 
-    preprocessText(text) {
+    normalize(text, language = 'en') {
+        text = applyLexicon(text, this.lexicon);
+        return getLanguageRules(language).normalizeNumbers ? normalizeText(text) : text;
+    }
+
+    preprocessText(text, language = 'en') {
+        const rules = getLanguageRules(language);
+        text = this.normalize(text, rules.code);
         text = text.normalize('NFKD');
         text = text.replace(EMOJI_PATTERN, '');
 
@@ -57,10 +105,12 @@ class UnicodeProcessor {
             text = text.replaceAll(k, v);
         }
 
-        text = text.replace(DIACRITICS_PATTERN, '');
+        if (rules.diacritics) {
+            text = text.replace(rules.diacritics, '');
+        }
         text = text.replace(SPECIAL_SYMBOLS_PATTERN, '');
 
-        for (const [k, v] of Object.entries(EXPR_REPLACEMENTS)) {
+        for (const [k, v] of Object.entries(rules.expressions)) {
             text = text.replaceAll(k, v);
         }
 
@@ -74,13 +124,70 @@ class UnicodeProcessor {
 
         text = text.replace(MULTIPLE_SPACES_PATTERN, ' ').trim();
 
-        if (!ENDING_PUNCTUATION_PATTERN.test(text)) {
-            text += '.';
+        if (!rules.endingPattern.test(text)) {
+            text += rules.sentenceEnd;
         }
 
         return text;
     }
 
+    analyze(text, language = 'auto') {
+        const rules = getLanguageRules(language, text);
+        const issues = [];
+        // Text the lexicon or the normalizer rewrites is spoken as its replacement
+        const covered = [
+            ...lexiconSpans(text, this.lexicon),
+            ...(rules.normalizeNumbers ? normalizationSpans(text) : [])
+        ];
+
+        for (const match of text.matchAll(EMOJI_PATTERN)) {
+            const end = match.index + match[0].length;
+            issues.push({ start: match.index, end, text: match[0], rule: 'emoji', message: ANALYSIS_MESSAGES.emoji });
+            covered.push([match.index, end]);
+        }
+
+        let start = 0;
+        for (const char of text) {
+            const end = start + char.length;
+            const rule = covered.some(([from, to]) => start >= from && start < to) ? null : this.classifyChar(char, rules);
+            if (rule) {
+                issues.push({ start, end, text: char, rule, message: ANALYSIS_MESSAGES[rule] });
+            }
+            start = end;
+        }
+
+        return issues.sort((a, b) => a.start - b.start);
+    }
+
+    classifyChar(char, rules) {
+        if (/\s/.test(char)) {
+            return null;
+        }
+        if (char.search(SPECIAL_SYMBOLS_PATTERN) !== -1) {
+            return 'symbol';
+        }
+
+        let decomposed = char.normalize('NFKD');
+        for (const [k, v] of Object.entries(CHAR_REPLACEMENTS)) {
+            decomposed = decomposed.replaceAll(k, v);
+        }
+        if (!decomposed.trim()) {
+            return 'replaced';
+        }
+
+        const stripped = rules.diacritics ? decomposed.replace(rules.diacritics, '') : decomposed;
+        for (const symbol of stripped) {
+            if (!this.isKnown(symbol.codePointAt(0))) {
+                return 'unknown';
+            }
+        }
+        return stripped !== decomposed ? 'diacritic' : null;
+    }
+
+    isKnown(codePoint) {
+        return codePoint < this.indexer.length && this.indexer[codePoint] >= 0;
+    }
+
     getTextMask(textIdsLengths) {
         const maxLen = Math.max(...textIdsLengths);
         return this.lengthToMask(textIdsLengths, maxLen);
@@ -111,11 +218,31 @@ class TextToSpeechWorker {
         this.vectorEstOrt = vectorEstOrt;
         this.vocoderOrt = vocoderOrt;
         this.sampleRate = cfgs.ae.sample_rate;
+        this.chunkCache = new ChunkCache();
+        // Cached chunks from another model configuration never match
+        this.modelVersion = modelVersion(cfgs);
+    }
+
+    /**
+     * Style tensor shapes the loaded sessions expect, null where the runtime
+     * does not report input metadata
+     */
+    getStyleShapes() {
+        const findShape = (session, name) => {
+            const shape = session.inputMetadata?.find?.(meta => meta.name === name)?.shape;
+            return shape?.length ? Array.from(shape) : null;
+        };
+        return {
+            style_ttl: findShape(this.textEncOrt, 'style_ttl'),
+            style_dp: findShape(this.dpOrt, 'style_dp')
+        };
     }
 
-    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null) {
+    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null, signal = null, seeds = null, language = 'en') {
+        throwIfCancelled(signal);
+
         const bsz = textList.length;
-        const { textIds, textMask } = this.textProcessor.call(textList);
+        const { textIds, textMask } = this.textProcessor.call(textList, language);
 
         const textLen = textIds[0].length;
         const textIdsFlat = new BigInt64Array(bsz * textLen);
@@ -153,6 +280,7 @@ class TextToSpeechWorker {
                 text_mask: textMaskTensor
             });
             const textEmb = textEncOutputs.text_emb;
+            tensorsToDispose.push(textEmb);
 
             // Sample noisy latent
             let { xt, latentMask } = this.sampleNoisyLatent(
@@ -160,7 +288,8 @@ class TextToSpeechWorker {
                 this.sampleRate,
                 this.cfgs.ae.base_chunk_size,
                 this.cfgs.ttl.chunk_compress_factor,
-                this.cfgs.ttl.latent_dim
+                this.cfgs.ttl.latent_dim,
+                seeds
             );
 
             const latentMaskFlat = new Float32Array(latentMask.flat(2));
@@ -180,6 +309,8 @@ class TextToSpeechWorker {
 
             // Denoising loop
             for (let step = 0; step < totalStep; step++) {
+                throwIfCancelled(signal);
+
                 if (progressCallback) {
                     progressCallback(step + 1, totalStep);
                 }
@@ -224,6 +355,8 @@ class TextToSpeechWorker {
                 }
             }
 
+            throwIfCancelled(signal);
+
             // Generate waveform
             let finalIdx = 0;
             for (let b = 0; b < bsz; b++) {
@@ -254,47 +387,239 @@ class TextToSpeechWorker {
         }
     }
 
-    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null) {
+    async call(text, style, totalStep, speed = 1.05, pauses = DEFAULT_PAUSES, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
         if (style.ttl.dims[0] !== 1) {
             throw new Error('Single speaker text to speech only supports single style');
         }
-        const textList = chunkText(text);
-        let wavCat = null;
-        let durCat = 0;
-
+        seed = seed === null ? randomSeed() : seed >>> 0;
+        language = resolveLanguage(language, text);
+        pauses = resolvePauses(pauses);
+        const chunks = chunkText(text, 300, language);
+        const textList = chunks.map(chunk => chunk.text);
         const totalChunks = textList.length;
-        let processedChunks = 0;
 
-        for (const chunk of textList) {
-            const { wav, duration } = await this._infer([chunk], style, totalStep, speed, (step, total) => {
-                if (progressCallback) {
-                    // Calculate overall progress across chunks and steps
-                    const chunkProgress = processedChunks / totalChunks;
-                    const stepProgress = step / total / totalChunks;
-                    const overallProgress = chunkProgress + stepProgress;
-                    progressCallback(step, total, processedChunks + 1, totalChunks, overallProgress);
+        // Chunks heard before with the same voice, settings and seed come from the cache; only the rest are synthesized
+        const chunkSeeds = textList.map(chunk => deriveSeed(seed, chunk));
+        const cacheKeys = this.chunkCache ? textList.map((chunk, i) => chunkCacheKey({
+            text: this.textProcessor.normalize(chunk, language),
+            style,
+            totalStep,
+            speed,
+            seed: chunkSeeds[i],
+            language,
+            modelVersion: this.modelVersion
+        })) : [];
+        const chunkWavs = this.chunkCache
+            ? await Promise.all(cacheKeys.map(key => this.chunkCache.get(key)))
+            : new Array(totalChunks).fill(null);
+        const chunkDurations = chunkWavs.map(chunkWav => chunkWav && chunkWav.length / this.sampleRate);
+        const missing = textList.map((_, i) => i).filter(i => !chunkWavs[i]);
+        const cachedChunks = totalChunks - missing.length;
+        const batches = planBatches(missing.map(i => textList[i]), batchSize).map(batch => batch.map(j => missing[j]));
+        let processedChunks = cachedChunks;
+        let nextToEmit = 0;
+
+        // Hand chunks out in text order as soon as they are ready so playback can start early
+        const emitReady = () => {
+            while (nextToEmit < totalChunks && chunkWavs[nextToEmit]) {
+                if (chunkCallback) {
+                    chunkCallback(chunkWavs[nextToEmit], chunkDurations[nextToEmit], nextToEmit + 1, totalChunks, nextToEmit > 0 ? pauses[chunks[nextToEmit - 1].boundary] : 0, textList[nextToEmit]);
                 }
-            });
+                nextToEmit++;
+            }
+        };
 
-            processedChunks++;
+        if (cachedChunks > 0 && progressCallback) {
+            progressCallback(0, totalStep, cachedChunks, totalChunks, cachedChunks / totalChunks, cachedChunks);
+        }
+        emitReady();
 
-            if (wavCat === null) {
-                wavCat = wav;
-                durCat = duration[0];
-            } else {
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const newWav = new Float32Array(wavCat.length + silenceLen + wav.length);
-                newWav.set(wavCat instanceof Float32Array ? wavCat : new Float32Array(wavCat), 0);
-                newWav.set(wav instanceof Float32Array ? wav : new Float32Array(wav), wavCat.length + silenceLen);
-                wavCat = newWav;
-                durCat += duration[0] + silenceDuration;
+        for (const batch of batches) {
+            throwIfCancelled(signal);
+            const batchStyle = this.tileStyle(style, batch.length);
+
+            try {
+                const { wav, duration } = await this._infer(
+                    batch.map(i => textList[i]),
+                    batchStyle,
+                    totalStep,
+                    speed,
+                    (step, total) => {
+                        if (progressCallback) {
+                            // Calculate overall progress across chunks and steps
+                            const chunkProgress = processedChunks / totalChunks;
+                            const stepProgress = step / total * batch.length / totalChunks;
+                            const overallProgress = chunkProgress + stepProgress;
+                            progressCallback(step, total, processedChunks + 1, totalChunks, overallProgress, cachedChunks);
+                        }
+                    },
+                    signal,
+                    batch.map(i => chunkSeeds[i]),
+                    language
+                );
+
+                // The vocoder pads every item to the longest one; trim each to its own duration,
+                // then to the speech inside it, and fade the edges so joins do not click
+                const itemLen = wav.length / batch.length;
+                batch.forEach((chunkIdx, b) => {
+                    const wavLen = Math.min(itemLen, Math.floor(duration[b] * this.sampleRate));
+                    const speech = trimSilence(wav.slice(b * itemLen, b * itemLen + wavLen), this.sampleRate);
+                    chunkWavs[chunkIdx] = applyFades(speech, this.sampleRate);
+                    chunkDurations[chunkIdx] = speech.length / this.sampleRate;
+                });
+            } finally {
+                if (batchStyle !== style) {
+                    batchStyle.ttl.dispose();
+                    batchStyle.dp.dispose();
+                }
             }
+
+            if (this.chunkCache) {
+                await Promise.all(batch.map(i => this.chunkCache.set(cacheKeys[i], chunkWavs[i])));
+            }
+            processedChunks += batch.length;
+            emitReady();
+        }
+
+        // Join chunks with a pause that depends on how each one ends, noting when each sentence is spoken
+        const { wav: wavCat, offsets } = joinChunks(
+            chunkWavs.map((chunkWav, i) => ({ wav: chunkWav, boundary: chunks[i].boundary })),
+            pauses,
+            this.sampleRate
+        );
+        const timeline = textList.flatMap((chunk, i) => sentenceCues(chunk, offsets[i] / this.sampleRate, chunkDurations[i], language));
+
+        return { wav: wavCat, duration: [wavCat.length / this.sampleRate], seed, language, timeline, chunkCount: totalChunks, batchCount: batches.length, cachedChunks };
+    }
+
+    /**
+     * Repeat a single style along the batch dimension for batched inference
+     */
+    tileStyle(style, count) {
+        if (count === 1) {
+            return style;
+        }
+        const tile = (tensor) => {
+            const tiled = new Float32Array(tensor.data.length * count);
+            for (let i = 0; i < count; i++) {
+                tiled.set(tensor.data, i * tensor.data.length);
+            }
+            return new ort.Tensor('float32', tiled, [count, ...tensor.dims.slice(1)]);
+        };
+        return { ttl: tile(style.ttl), dp: tile(style.dp) };
+    }
+
+    /**
+     * Synthesize a sequence of segments into one track. Speech segments are
+     * { text, style, speed, speaker? }; breaks are { silence } in seconds.
+     * Chunks inside a segment are spaced by the boundary pauses.
+     */
+    async callSegments(segments, totalStep, pauses = DEFAULT_PAUSES, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
+        seed = seed === null ? randomSeed() : seed >>> 0;
+        const speechCount = segments.filter(segment => segment.silence === undefined).length;
+        const parts = [];
+        const speakers = new Map();
+        const timeline = [];
+        let position = 0;
+        let pendingSilence = 0;
+        let speechIndex = 0;
+        let chunkCount = 0;
+        let batchCount = 0;
+        let cachedChunks = 0;
+
+        for (const segment of segments) {
+            if (segment.silence !== undefined) {
+                pendingSilence += segment.silence;
+                continue;
+            }
+
+            const index = speechIndex++;
+            const gap = pendingSilence;
+            if (gap > 0) {
+                parts.push(new Float32Array(Math.floor(gap * this.sampleRate)));
+                position += parts[parts.length - 1].length;
+            }
+            pendingSilence = 0;
+
+            const { wav, duration, timeline: segmentTimeline, chunkCount: segmentChunks, batchCount: segmentBatches, cachedChunks: segmentCached } = await this.call(
+                segment.text,
+                segment.style,
+                totalStep,
+                segment.speed,
+                pauses,
+                progressCallback ? (step, total, chunkIndex, totalChunks, overallProgress, cached) => {
+                    progressCallback(step, total, chunkIndex, totalChunks, (index + overallProgress) / speechCount, cached);
+                } : null,
+                chunkCallback ? (chunkWav, chunkDuration, chunkIndex, totalChunks, leadingSilence, chunkText) => {
+                    // The first chunk of a segment waits for the pause before it
+                    chunkCallback(chunkWav, chunkDuration, chunkIndex, totalChunks, chunkIndex === 1 ? gap : leadingSilence, chunkText);
+                } : null,
+                signal,
+                seed,
+                batchSize,
+                language
+            );
+
+            // Segments come back trimmed to their speech, so the silence entries between them set every gap
+            const start = position / this.sampleRate;
+            parts.push(wav);
+            position += wav.length;
+            for (const cue of segmentTimeline) {
+                timeline.push({
+                    ...cue,
+                    start: start + cue.start,
+                    end: Math.min(start + cue.end, position / this.sampleRate),
+                    ...(segment.speaker !== undefined && { speaker: segment.speaker })
+                });
+            }
+            chunkCount += segmentChunks;
+            batchCount += segmentBatches;
+            cachedChunks += segmentCached;
+
+            if (segment.speaker !== undefined) {
+                const stats = speakers.get(segment.speaker) || { speaker: segment.speaker, lines: 0, duration: 0 };
+                stats.lines++;
+                stats.duration += duration[0];
+                speakers.set(segment.speaker, stats);
+            }
+        }
+        if (pendingSilence > 0) {
+            parts.push(new Float32Array(Math.floor(pendingSilence * this.sampleRate)));
+        }
+
+        const totalLen = parts.reduce((sum, part) => sum + part.length, 0);
+        const wavCat = new Float32Array(totalLen);
+        let offset = 0;
+        for (const part of parts) {
+            wavCat.set(part, offset);
+            offset += part.length;
         }
 
-        return { wav: wavCat || [], duration: [durCat] };
+        return {
+            wav: wavCat,
+            duration: [totalLen / this.sampleRate],
+            seed,
+            speakers: speakers.size > 0 ? [...speakers.values()] : undefined,
+            timeline,
+            chunkCount,
+            batchCount,
+            cachedChunks
+        };
+    }
+
+    /**
+     * Synthesize a multi-speaker script. Each turn is { speaker, text, style };
+     * turns are joined with turnGap seconds of silence into one track.
+     */
+    async callDialogue(turns, totalStep, speed = 1.05, pauses = DEFAULT_PAUSES, turnGap = 0.5, progressCallback = null, chunkCallback = null, signal = null, seed = null, batchSize = 1, language = 'auto') {
+        const segments = turns.flatMap((turn, i) => {
+            const segment = { ...turn, speed };
+            return i > 0 ? [{ silence: turnGap }, segment] : [segment];
+        });
+        return this.callSegments(segments, totalStep, pauses, progressCallback, chunkCallback, signal, seed, batchSize, language);
     }
 
-    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim, seeds = null) {
         const bsz = duration.length;
         const maxDur = Math.max(...duration);
         const wavLenMax = Math.floor(maxDur * sampleRate);
@@ -302,6 +627,7 @@ class TextToSpeechWorker {
         const chunkSize = baseChunkSize * chunkCompress;
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDimVal = latentDim * chunkCompress;
+        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
 
         const xt = new Array(bsz);
         for (let b = 0; b < bsz; b++) {
@@ -314,16 +640,18 @@ class TextToSpeechWorker {
         const TWO_PI = 2.0 * Math.PI;
 
         for (let b = 0; b < bsz; b++) {
+            // One generator per batch item keeps each item reproducible on its own
+            const random = seeds ? createRng(seeds[b]) : Math.random;
+            // Draw only over the item's own length so its noise does not depend on batch padding
             for (let d = 0; d < latentDimVal; d++) {
-                for (let t = 0; t < latentLen; t++) {
-                    const u1 = Math.max(0.0001, Math.random());
-                    const u2 = Math.random();
+                for (let t = 0; t < latentLengths[b]; t++) {
+                    const u1 = Math.max(0.0001, random());
+                    const u2 = random();
                     xt[b][d][t] = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(TWO_PI * u2);
                 }
             }
         }
 
-        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
         const latentMask = this.lengthToMask(latentLengths, latentLen);
 
         for (let b = 0; b < bsz; b++) {
@@ -351,13 +679,46 @@ class TextToSpeechWorker {
 }
 
 /**
- * Chunk text into manageable segments
+ * Group chunk indices into batches of similar text length. Batches run in
+ * order of their earliest chunk so streaming playback can start early.
  */
-function chunkText(text, maxLen = 300) {
+function planBatches(textList, batchSize = 1) {
+    const order = textList.map((_, i) => i);
+    if (batchSize <= 1) {
+        return order.map(i => [i]);
+    }
+
+    order.sort((a, b) => textList[a].length - textList[b].length);
+    const batches = [];
+    for (let i = 0; i < order.length; i += batchSize) {
+        batches.push(order.slice(i, i + batchSize).sort((a, b) => a - b));
+    }
+    return batches.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Spread a chunk's predicted duration over its sentences by length; the model reports no finer timing
+ */
+function sentenceCues(chunk, start, duration, language = 'en') {
+    const sentences = chunk.split(getLanguageRules(language).sentencePattern).filter(sentence => sentence.trim());
+    const totalLength = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+    let cursor = start;
+    return sentences.map(text => {
+        const cue = { text, start: cursor, end: cursor + duration * text.length / totalLength };
+        cursor = cue.end;
+        return cue;
+    });
+}
+
+/**
+ * Chunk text into manageable segments, each { text, boundary } where boundary names the pause after it
+ */
+function chunkText(text, maxLen = 300, language = 'en') {
     if (typeof text !== 'string') {
         throw new Error(`chunkText expects a string, got ${typeof text}`);
     }
 
+    const rules = getLanguageRules(language);
     const paragraphs = text.trim().split(/\n\s*\n+/).filter(p => p.trim());
     const chunks = [];
 
@@ -365,77 +726,235 @@ function chunkText(text, maxLen = 300) {
         paragraph = paragraph.trim();
         if (!paragraph) continue;
 
-        const sentences = paragraph.split(SENTENCE_SPLIT_PATTERN);
+        const sentences = paragraph.split(rules.sentencePattern)
+            .flatMap(sentence => sentence.length > maxLen ? sentence.split(CLAUSE_SPLIT_PATTERN) : [sentence]);
+        const paragraphChunks = [];
         let currentChunk = "";
 
         for (let sentence of sentences) {
             if (currentChunk.length + sentence.length + 1 <= maxLen) {
-                currentChunk += (currentChunk ? " " : "") + sentence;
+                currentChunk += (currentChunk ? rules.joiner : "") + sentence;
             } else {
                 if (currentChunk) {
-                    chunks.push(currentChunk.trim());
+                    paragraphChunks.push(currentChunk.trim());
                 }
                 currentChunk = sentence;
             }
         }
 
         if (currentChunk) {
-            chunks.push(currentChunk.trim());
+            paragraphChunks.push(currentChunk.trim());
         }
+
+        // Each chunk remembers how it ends, which sets the pause after it
+        chunks.push(...paragraphChunks.map((chunk, i) => ({
+            text: chunk,
+            boundary: boundaryAfter(chunk, i === paragraphChunks.length - 1)
+        })));
     }
 
     return chunks;
 }
 
+// Worker state
+let textToSpeech = null;
+let cfgs = null;
+let currentStyle = null;
+let currentStylePath = null;
+
+// Generation job queue: one job runs at a time, highest priority first, FIFO within a priority
+const jobQueue = [];
+let runningJob = null;
+
+function postError(id, error) {
+    self.postMessage({
+        type: 'error',
+        id,
+        payload: { name: error.name, message: error.message, stack: error.stack }
+    });
+}
+
 /**
- * Write WAV file to ArrayBuffer
+ * Queue a generate request. The voice and settings are captured now, so a
+ * later loadStyle does not change the voice of jobs that are already queued.
  */
-function writeWavFile(audioData, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * 2;
+function enqueueJob(id, payload) {
+    const {
+        text, totalStep, speed, pauses, stream, seed = null, priority = 0,
+        voiceStyle, stylePath, turns, segments, voices, turnGap = 0.5, batchSize = 1, language = 'auto', loudnessTarget = null,
+        persistCache = false
+    } = payload;
+    const job = {
+        id,
+        priority,
+        // A voiceStyle in the payload (e.g. a blend preview) overrides the loaded style for this job only
+        style: voiceStyle ? styleFromJSON(voiceStyle) : currentStyle,
+        stylePath: voiceStyle ? stylePath : currentStylePath,
+        settings: { text, totalStep, speed, pauses, stream, seed, turnGap, batchSize, language, loudnessTarget, persistCache },
+        controller: new AbortController()
+    };
 
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
+    // Dialogue scripts carry one voice style per speaker
+    if (turns) {
+        const speakerStyles = new Map(Object.entries(voices).map(([speaker, json]) => [speaker, styleFromJSON(json)]));
+        job.turns = turns.map(({ speaker, text: turnText }) => {
+            if (!speakerStyles.has(speaker)) {
+                throw new Error(`No voice style given for speaker "${speaker}"`);
+            }
+            return { speaker, text: turnText, style: speakerStyles.get(speaker) };
+        });
+        job.stylePath = 'dialogue';
+    }
 
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
+    // SSML segments name their voice, or use the job's voice when none is given
+    if (segments) {
+        const voiceStyles = new Map(Object.entries(voices || {}).map(([name, json]) => [name, styleFromJSON(json)]));
+        job.segments = segments.map((segment) => {
+            if (segment.silence !== undefined) {
+                return { silence: segment.silence };
+            }
+            if (segment.voice && !voiceStyles.has(segment.voice)) {
+                throw new Error(`No voice style given for voice "${segment.voice}"`);
+            }
+            return {
+                text: segment.text,
+                speed: segment.speed,
+                style: segment.voice ? voiceStyles.get(segment.voice) : job.style
+            };
+        });
+        job.stylePath = 'ssml';
+    }
 
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-        const clamped = Math.max(-1.0, Math.min(1.0, audioData[i]));
-        int16Data[i] = Math.floor(clamped * 32767);
-    }
-
-    const dataView = new Uint8Array(buffer, 44);
-    dataView.set(new Uint8Array(int16Data.buffer));
-
-    return buffer;
+    // Insert after every job of the same or higher priority
+    let index = jobQueue.findIndex(queued => queued.priority < priority);
+    if (index === -1) {
+        index = jobQueue.length;
+    }
+    jobQueue.splice(index, 0, job);
+
+    postQueuePositions();
+    processQueue();
 }
 
-// Worker state
-let textToSpeech = null;
-let cfgs = null;
-let currentStyle = null;
+function postQueuePositions() {
+    jobQueue.forEach((job, index) => {
+        self.postMessage({
+            type: 'progress',
+            id: job.id,
+            payload: {
+                stage: 'queued',
+                position: index + 1,
+                queueLength: jobQueue.length
+            }
+        });
+    });
+}
+
+async function processQueue() {
+    if (runningJob || jobQueue.length === 0) {
+        return;
+    }
+
+    runningJob = jobQueue.shift();
+    postQueuePositions();
+
+    try {
+        await runGenerateJob(runningJob);
+    } catch (error) {
+        postError(runningJob.id, error);
+    } finally {
+        runningJob = null;
+        processQueue();
+    }
+}
+
+async function runGenerateJob(job) {
+    const { id, style, stylePath, settings, controller, turns, segments } = job;
+    const { text, totalStep, speed, pauses, stream, seed, turnGap, batchSize, language, loudnessTarget, persistCache } = settings;
+    const startedAt = performance.now();
+    textToSpeech.chunkCache.persist = persistCache;
+
+    self.postMessage({
+        type: 'progress',
+        id,
+        payload: { stage: 'started', stylePath }
+    });
+
+    const onProgress = (step, total, chunkIndex, totalChunks, overallProgress, cachedChunks) => {
+        self.postMessage({
+            type: 'progress',
+            id,
+            payload: {
+                stage: 'denoising',
+                step,
+                total,
+                chunkIndex,
+                totalChunks,
+                overallProgress,
+                cachedChunks
+            }
+        });
+    };
+    const onChunk = stream ? (chunkWav, chunkDuration, chunkIndex, totalChunks, leadingSilence, chunkText) => {
+        const pcm = new Float32Array(chunkWav);
+        self.postMessage({
+            type: 'chunk',
+            id,
+            payload: {
+                pcm,
+                chunkIndex,
+                totalChunks,
+                duration: chunkDuration,
+                leadingSilence,
+                text: chunkText,
+                sampleRate: textToSpeech.sampleRate
+            }
+        }, [pcm.buffer]);
+    } : null;
+
+    let result;
+    if (turns) {
+        result = await textToSpeech.callDialogue(
+            turns, totalStep, speed, pauses, turnGap, onProgress, onChunk, controller.signal, seed, batchSize, language
+        );
+    } else if (segments) {
+        result = await textToSpeech.callSegments(
+            segments, totalStep, pauses, onProgress, onChunk, controller.signal, seed, batchSize, language
+        );
+    } else {
+        result = await textToSpeech.call(
+            text, style, totalStep, speed, pauses, onProgress, onChunk, controller.signal, seed, batchSize, language
+        );
+    }
+    const { wav, duration, seed: usedSeed, language: usedLanguage, speakers, timeline, chunkCount, batchCount, cachedChunks } = result;
+
+    // Raw samples go back to the page, which encodes them in the chosen export format.
+    // Streamed chunks were played before the whole take could be measured, so only the full take is normalized.
+    const wavLen = Math.floor(textToSpeech.sampleRate * duration[0]);
+    const { samples: pcm, inputLoudness, loudness, truePeak, gain } = normalizeLoudness(
+        wav.slice(0, wavLen), textToSpeech.sampleRate, loudnessTarget
+    );
+
+    self.postMessage({
+        type: 'generated',
+        id,
+        payload: {
+            pcm,
+            duration: duration[0],
+            sampleRate: textToSpeech.sampleRate,
+            stylePath,
+            seed: usedSeed,
+            language: usedLanguage,
+            loudness: { input: inputLoudness, output: loudness, truePeak, gain, target: loudnessTarget },
+            speakers,
+            timeline,
+            chunkCount,
+            batchCount,
+            cachedChunks,
+            processingTime: (performance.now() - startedAt) / 1000
+        }
+    }, [pcm.buffer]); // Transfer the buffer for better performance
+}
 
 /**
  * Load ONNX model
@@ -451,7 +970,59 @@ async function loadOnnx(onnxPath, options) {
 async function loadVoiceStyle(voiceStylePath) {
     const response = await fetch(voiceStylePath);
     const voiceStyle = await response.json();
+    return styleFromJSON(voiceStyle);
+}
+
+/**
+ * Validate a parsed voice style JSON object. Checks the style_ttl/style_dp
+ * structure and, when expectedShapes is given, the shapes the loaded
+ * sessions expect. Throws an Error describing the first problem found.
+ */
+function validateVoiceStyle(voiceStyle, expectedShapes = null) {
+    if (!voiceStyle || typeof voiceStyle !== 'object' || Array.isArray(voiceStyle)) {
+        throw new Error('Voice style must be a JSON object with style_ttl and style_dp');
+    }
+
+    for (const key of ['style_ttl', 'style_dp']) {
+        const tensor = voiceStyle[key];
+        if (!tensor || !Array.isArray(tensor.dims) || !Array.isArray(tensor.data)) {
+            throw new Error(`Voice style is missing ${key}.dims or ${key}.data`);
+        }
+
+        const { dims } = tensor;
+        if (dims.length !== 3 || !dims.every(d => Number.isInteger(d) && d > 0)) {
+            throw new Error(`${key}.dims must be three positive integers, got [${dims}]`);
+        }
+        if (dims[0] !== 1) {
+            throw new Error(`${key}.dims[0] must be 1 (one voice per file), got ${dims[0]}`);
+        }
 
+        // Symbolic (string) dimensions in the model accept any size
+        const expected = expectedShapes?.[key];
+        if (expected?.length === 3) {
+            for (let i = 1; i < 3; i++) {
+                if (typeof expected[i] === 'number' && expected[i] !== dims[i]) {
+                    throw new Error(`${key} has shape [${dims}] but the loaded model expects [${expected}]`);
+                }
+            }
+        }
+
+        const data = tensor.data.flat(Infinity);
+        const size = dims[0] * dims[1] * dims[2];
+        if (data.length !== size) {
+            throw new Error(`${key}.data has ${data.length} values but dims [${dims}] need ${size}`);
+        }
+        if (!data.every(value => Number.isFinite(value))) {
+            throw new Error(`${key}.data must contain only finite numbers`);
+        }
+    }
+}
+
+/**
+ * Build style tensors from a parsed voice style JSON object
+ */
+function styleFromJSON(voiceStyle) {
+    validateVoiceStyle(voiceStyle, textToSpeech?.getStyleShapes());
     const ttlDims = voiceStyle.style_ttl.dims;
     const dpDims = voiceStyle.style_dp.dims;
 
@@ -489,20 +1060,26 @@ self.onmessage = async (e) => {
                     { name: 'Vocoder', path: `${basePath}/vocoder.onnx` }
                 ];
 
+                const version = modelVersion(cfgs);
                 const sessions = [];
                 for (let i = 0; i < modelPaths.length; i++) {
-                    self.postMessage({
-                        type: 'progress',
-                        id,
-                        payload: {
-                            stage: 'loading',
-                            modelName: modelPaths[i].name,
-                            current: i + 1,
-                            total: modelPaths.length
-                        }
+                    const bytes = await fetchModel(modelPaths[i].path, version, (loaded, totalBytes, cached) => {
+                        self.postMessage({
+                            type: 'progress',
+                            id,
+                            payload: {
+                                stage: 'loading',
+                                modelName: modelPaths[i].name,
+                                current: i + 1,
+                                total: modelPaths.length,
+                                loaded,
+                                totalBytes,
+                                cached
+                            }
+                        });
                     });
 
-                    const session = await loadOnnx(modelPaths[i].path, sessionOptions);
+                    const session = await loadOnnx(bytes, sessionOptions);
                     sessions.push(session);
                 }
 
@@ -515,14 +1092,19 @@ self.onmessage = async (e) => {
                 self.postMessage({
                     type: 'initialized',
                     id,
-                    payload: { executionProvider, sampleRate: textToSpeech.sampleRate }
+                    payload: {
+                        executionProvider,
+                        sampleRate: textToSpeech.sampleRate,
+                        styleShapes: textToSpeech.getStyleShapes()
+                    }
                 });
                 break;
             }
 
             case 'loadStyle': {
-                const { stylePath } = payload;
-                currentStyle = await loadVoiceStyle(stylePath);
+                const { stylePath, voiceStyle } = payload;
+                currentStyle = voiceStyle ? styleFromJSON(voiceStyle) : await loadVoiceStyle(stylePath);
+                currentStylePath = stylePath;
                 self.postMessage({
                     type: 'styleLoaded',
                     id,
@@ -531,49 +1113,91 @@ self.onmessage = async (e) => {
                 break;
             }
 
+            case 'setLexicon': {
+                if (!textToSpeech) {
+                    throw new Error('TTS not initialized');
+                }
+
+                // Applies to every job that starts after this message
+                const count = textToSpeech.textProcessor.setLexicon(payload.lexicon);
+                self.postMessage({
+                    type: 'lexiconSet',
+                    id,
+                    payload: { count }
+                });
+                break;
+            }
+
+            case 'normalizeText': {
+                if (!textToSpeech) {
+                    throw new Error('TTS not initialized');
+                }
+
+                self.postMessage({
+                    type: 'textNormalized',
+                    id,
+                    payload: { text: textToSpeech.textProcessor.normalize(payload.text, resolveLanguage(payload.language, payload.text)) }
+                });
+                break;
+            }
+
+            case 'analyzeText': {
+                if (!textToSpeech) {
+                    throw new Error('TTS not initialized');
+                }
+
+                self.postMessage({
+                    type: 'textAnalyzed',
+                    id,
+                    payload: { issues: textToSpeech.textProcessor.analyze(payload.text, payload.language) }
+                });
+                break;
+            }
+
             case 'generate': {
-                if (!textToSpeech || !currentStyle) {
+                if (!textToSpeech || (!currentStyle && !payload.voiceStyle)) {
                     throw new Error('TTS not initialized or style not loaded');
                 }
 
-                const { text, totalStep, speed, silenceDuration } = payload;
+                enqueueJob(id, payload);
+                break;
+            }
 
-                const { wav, duration } = await textToSpeech.call(
-                    text,
-                    currentStyle,
-                    totalStep,
-                    speed,
-                    silenceDuration,
-                    (step, total, chunkIndex, totalChunks, overallProgress) => {
-                        self.postMessage({
-                            type: 'progress',
-                            id,
-                            payload: {
-                                stage: 'denoising',
-                                step,
-                                total,
-                                chunkIndex,
-                                totalChunks,
-                                overallProgress
-                            }
-                        });
-                    }
-                );
+            case 'clearCache': {
+                if (!textToSpeech) {
+                    throw new Error('TTS not initialized');
+                }
+
+                await textToSpeech.chunkCache.clear();
+                self.postMessage({
+                    type: 'cacheCleared',
+                    id,
+                    payload: {}
+                });
+                break;
+            }
 
-                // Create WAV file
-                const wavLen = Math.floor(textToSpeech.sampleRate * duration[0]);
-                const wavOut = wav.slice(0, wavLen);
-                const wavBuffer = writeWavFile(wavOut, textToSpeech.sampleRate);
+            case 'cancel': {
+                const { requestId } = payload;
+                const queuedIndex = jobQueue.findIndex(job => job.id === requestId);
+                let found = false;
+
+                if (queuedIndex !== -1) {
+                    // Not started yet: drop it and settle its request right away
+                    jobQueue.splice(queuedIndex, 1);
+                    postError(requestId, new GenerationCancelledError());
+                    postQueuePositions();
+                    found = true;
+                } else if (runningJob?.id === requestId) {
+                    runningJob.controller.abort();
+                    found = true;
+                }
 
                 self.postMessage({
-                    type: 'generated',
+                    type: 'cancelRequested',
                     id,
-                    payload: {
-                        wavBuffer,
-                        duration: duration[0],
-                        sampleRate: textToSpeech.sampleRate
-                    }
-                }, [wavBuffer]); // Transfer the buffer for better performance
+                    payload: { requestId, found }
+                });
                 break;
             }
 
@@ -581,10 +1205,6 @@ self.onmessage = async (e) => {
                 throw new Error(`Unknown message type: ${type}`);
         }
     } catch (error) {
-        self.postMessage({
-            type: 'error',
-            id,
-            payload: { message: error.message, stack: error.stack }
-        });
+        postError(id, error);
     }
 };
@@ -0,0 +1,376 @@
+// Web Speech API shim: speechSynthesis and SpeechSynthesisUtterance backed by Supertonic,
+// so pages written for the browser's voices switch to on-device models with one import.
+//
+//   import { installSpeechSynthesis } from './webSpeech.js';
+//   installSpeechSynthesis({ basePath: 'assets/onnx' });
+//   speechSynthesis.speak(new SpeechSynthesisUtterance('Hello!'));
+//
+// Utterances are synthesized one at a time in the worker and streamed to an AudioContext.
+// start, end, pause, resume and error fire as in the browser; boundary fires once per
+// synthesized chunk (a sentence or a few short ones) with name 'sentence'. pitch is ignored.
+
+import { Supertonic } from './supertonic.js';
+import { GenerationCancelledError } from './errors.js';
+import { SUPPORTED_LANGUAGES } from './languages.js';
+
+const PRESET_VOICES = [
+    { id: 'M1', name: 'Supertonic Male 1' },
+    { id: 'M2', name: 'Supertonic Male 2' },
+    { id: 'F1', name: 'Supertonic Female 1' },
+    { id: 'F2', name: 'Supertonic Female 2' }
+];
+
+// The engine's useful speed range; utterance.rate 1 maps to the page's default speed
+const DEFAULT_SPEED = 1.05;
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+
+export class SupertonicSpeechSynthesisEvent extends Event {
+    constructor(type, { utterance, charIndex = 0, charLength = 0, elapsedTime = 0, name = '' } = {}) {
+        super(type);
+        this.utterance = utterance;
+        this.charIndex = charIndex;
+        this.charLength = charLength;
+        this.elapsedTime = elapsedTime;
+        this.name = name;
+    }
+}
+
+/**
+ * error is one of the Web Speech codes: 'canceled', 'interrupted', 'synthesis-unavailable',
+ * 'synthesis-failed' or 'voice-unavailable'
+ */
+export class SupertonicSpeechSynthesisErrorEvent extends SupertonicSpeechSynthesisEvent {
+    constructor(type, { error, ...init }) {
+        super(type, init);
+        this.error = error;
+    }
+}
+
+export class SupertonicSpeechSynthesisUtterance extends EventTarget {
+    constructor(text = '') {
+        super();
+        this.text = String(text);
+        this.lang = '';
+        this.voice = null;
+        this.volume = 1;
+        this.rate = 1;
+        this.pitch = 1;
+        this.onstart = null;
+        this.onend = null;
+        this.onerror = null;
+        this.onpause = null;
+        this.onresume = null;
+        this.onmark = null;
+        this.onboundary = null;
+    }
+}
+
+// Fire an event on an utterance (ours or the browser's) and its on<type> handler
+function emit(utterance, event) {
+    utterance.dispatchEvent(event);
+    utterance[`on${event.type}`]?.call(utterance, event);
+}
+
+function engineLanguage(lang) {
+    const code = (lang ?? '').toLowerCase().split('-')[0];
+    return SUPPORTED_LANGUAGES.includes(code) ? code : 'auto';
+}
+
+export class SupertonicSpeechSynthesis extends EventTarget {
+    /**
+     * voicesPath holds the preset style JSON files; lang is reported on the voices;
+     * steps is the denoising step count for every utterance
+     */
+    constructor({ basePath = 'assets/onnx', voicesPath = 'assets/voice_styles', lang = 'en-US', steps = 5 } = {}) {
+        super();
+        this.basePath = basePath;
+        this.steps = steps;
+        this.voices = PRESET_VOICES.map(({ id, name }, i) => Object.freeze({
+            voiceURI: `${voicesPath}/${id}.json`,
+            name,
+            lang,
+            localService: true,
+            default: i === 0
+        }));
+        this.queue = [];
+        this.current = null;
+        this.isPaused = false;
+        this.audioContext = null;
+        this.clientPromise = null;
+        this.onvoiceschanged = null;
+    }
+
+    get pending() {
+        return this.queue.length > 0;
+    }
+
+    get speaking() {
+        return this.current !== null;
+    }
+
+    get paused() {
+        return this.isPaused;
+    }
+
+    getVoices() {
+        return [...this.voices];
+    }
+
+    // Models load on the first utterance; a failed load is retried by the next one
+    client() {
+        if (!this.clientPromise) {
+            this.clientPromise = Supertonic.create({ basePath: this.basePath });
+            this.clientPromise.catch(() => {
+                this.clientPromise = null;
+            });
+        }
+        return this.clientPromise;
+    }
+
+    speak(utterance) {
+        // Usually called from a click handler, which lets the context start under autoplay policies
+        this.audioContext ??= new AudioContext();
+        if (!this.isPaused) {
+            this.audioContext.resume();
+        }
+        this.queue.push(utterance);
+        this.speakNext();
+    }
+
+    cancel() {
+        const current = this.current;
+        if (current) {
+            this.current = null;
+            if (current.requestId !== null) {
+                current.client.cancel(current.requestId);
+            }
+            this.stopSources(current);
+            emit(current.utterance, new SupertonicSpeechSynthesisErrorEvent('error', {
+                utterance: current.utterance,
+                error: current.started ? 'interrupted' : 'canceled',
+                charIndex: current.charIndex,
+                elapsedTime: this.elapsedTime(current)
+            }));
+        }
+        for (const utterance of this.queue.splice(0)) {
+            emit(utterance, new SupertonicSpeechSynthesisErrorEvent('error', { utterance, error: 'canceled' }));
+        }
+    }
+
+    pause() {
+        if (this.isPaused) {
+            return;
+        }
+        this.isPaused = true;
+        this.audioContext?.suspend();
+        if (this.current) {
+            emit(this.current.utterance, this.utteranceEvent('pause', this.current));
+        }
+    }
+
+    resume() {
+        if (!this.isPaused) {
+            return;
+        }
+        this.isPaused = false;
+        this.audioContext?.resume();
+        if (this.current) {
+            emit(this.current.utterance, this.utteranceEvent('resume', this.current));
+        }
+        this.speakNext();
+    }
+
+    elapsedTime(current) {
+        return current.started ? this.audioContext.currentTime - current.startTime : 0;
+    }
+
+    utteranceEvent(type, current, init = {}) {
+        return new SupertonicSpeechSynthesisEvent(type, {
+            utterance: current.utterance,
+            charIndex: current.charIndex,
+            elapsedTime: this.elapsedTime(current),
+            ...init
+        });
+    }
+
+    stopSources(current) {
+        for (const source of current.sources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Source may not have started yet
+            }
+        }
+        current.sources = [];
+        current.gain.disconnect();
+    }
+
+    async speakNext() {
+        if (this.current || this.isPaused || this.queue.length === 0) {
+            return;
+        }
+        const utterance = this.queue.shift();
+        const gain = this.audioContext.createGain();
+        gain.gain.value = Math.min(Math.max(Number(utterance.volume ?? 1), 0), 1);
+        gain.connect(this.audioContext.destination);
+        const current = {
+            utterance,
+            client: null,
+            requestId: null,
+            gain,
+            sources: [],
+            cursor: 0,
+            started: false,
+            startTime: 0,
+            charIndex: 0,
+            searchFrom: 0,
+            generated: false
+        };
+        this.current = current;
+
+        let errorCode = 'synthesis-unavailable';
+        try {
+            current.client = await this.client();
+            if (this.current !== current) {
+                return;
+            }
+            if (!utterance.text.trim()) {
+                current.generated = true;
+                this.finishIfDone(current);
+                return;
+            }
+            const voice = utterance.voice ?? this.voices.find(v => v.default);
+            errorCode = 'voice-unavailable';
+            await current.client.resolveVoice(voice.voiceURI);
+            if (this.current !== current) {
+                return;
+            }
+            const speed = Math.min(Math.max(DEFAULT_SPEED * Number(utterance.rate ?? 1), MIN_SPEED), MAX_SPEED);
+            errorCode = 'synthesis-failed';
+            const request = current.client.generate(utterance.text, {
+                voice: voice.voiceURI,
+                voiceName: voice.name,
+                steps: this.steps,
+                speed,
+                language: engineLanguage(utterance.lang),
+                stream: true,
+                onChunk: chunk => this.playChunk(current, chunk)
+            });
+            current.requestId = request.id;
+            await request.promise;
+            if (this.current !== current) {
+                return;
+            }
+            current.generated = true;
+            this.finishIfDone(current);
+        } catch (error) {
+            // cancel() has already reported this utterance
+            if (this.current !== current || error instanceof GenerationCancelledError) {
+                return;
+            }
+            console.error('Speech synthesis failed:', error);
+            this.stopSources(current);
+            this.current = null;
+            emit(utterance, new SupertonicSpeechSynthesisErrorEvent('error', {
+                utterance,
+                error: errorCode,
+                charIndex: current.charIndex,
+                elapsedTime: this.elapsedTime(current)
+            }));
+            this.speakNext();
+        }
+    }
+
+    playChunk(current, { pcm, sampleRate, leadingSilence, text }) {
+        if (this.current !== current || pcm.length === 0) {
+            return;
+        }
+        const context = this.audioContext;
+        const buffer = context.createBuffer(1, pcm.length, sampleRate);
+        buffer.copyToChannel(pcm, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(current.gain);
+
+        // Never schedule in the past: if synthesis fell behind, start right away
+        const startAt = Math.max(current.cursor + leadingSilence, context.currentTime + 0.05);
+        source.start(startAt);
+        current.cursor = startAt + buffer.duration;
+        current.sources.push(source);
+        source.onended = () => {
+            current.sources = current.sources.filter(s => s !== source);
+            this.finishIfDone(current);
+        };
+
+        // A one-sample silent source ends as the chunk starts, so start and boundary
+        // follow the audio clock through pause and resume
+        const marker = context.createBufferSource();
+        marker.buffer = context.createBuffer(1, 1, sampleRate);
+        marker.connect(current.gain);
+        marker.start(startAt - 1 / sampleRate);
+        current.sources.push(marker);
+        marker.onended = () => {
+            current.sources = current.sources.filter(s => s !== marker);
+            if (this.current !== current) {
+                return;
+            }
+            if (!current.started) {
+                current.started = true;
+                current.startTime = startAt;
+                emit(current.utterance, this.utteranceEvent('start', current));
+            }
+            const { charIndex, charLength } = this.locateChunk(current, text);
+            current.charIndex = charIndex;
+            current.searchFrom = charIndex + charLength;
+            emit(current.utterance, this.utteranceEvent('boundary', current, { charLength, name: 'sentence' }));
+        };
+    }
+
+    /**
+     * Position of a chunk in the utterance text. Chunks are cut from the text as written,
+     * so the chunk's first word is searched for from where the previous chunk ended.
+     */
+    locateChunk(current, chunkText = '') {
+        const fullText = current.utterance.text;
+        const firstWord = chunkText.trim().split(/\s+/)[0];
+        const found = firstWord ? fullText.indexOf(firstWord, current.searchFrom) : -1;
+        const charIndex = found >= 0 ? found : current.searchFrom;
+        return { charIndex, charLength: Math.min(chunkText.trim().length, fullText.length - charIndex) };
+    }
+
+    finishIfDone(current) {
+        if (this.current !== current || !current.generated || current.sources.length > 0) {
+            return;
+        }
+        this.current = null;
+        current.gain.disconnect();
+        // Text with nothing to say still reports a start before its end
+        if (!current.started) {
+            emit(current.utterance, this.utteranceEvent('start', current));
+        }
+        emit(current.utterance, this.utteranceEvent('end', current, { charIndex: current.utterance.text.length }));
+        this.speakNext();
+    }
+}
+
+/**
+ * Replace the browser's speechSynthesis and the SpeechSynthesis* constructors with the
+ * Supertonic versions and return the new speechSynthesis. Options are passed to
+ * SupertonicSpeechSynthesis.
+ */
+export function installSpeechSynthesis(options = {}) {
+    const synthesis = new SupertonicSpeechSynthesis(options);
+    // speechSynthesis is a getter on Window.prototype; an own property shadows it
+    const globals = {
+        speechSynthesis: synthesis,
+        SpeechSynthesisUtterance: SupertonicSpeechSynthesisUtterance,
+        SpeechSynthesisEvent: SupertonicSpeechSynthesisEvent,
+        SpeechSynthesisErrorEvent: SupertonicSpeechSynthesisErrorEvent
+    };
+    for (const [name, value] of Object.entries(globals)) {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+    return synthesis;
+}